@@ -0,0 +1,321 @@
+const { pdfParser, docxParser, zipReader } = require('./textExtractor');
+const { fileInspector } = require('./fileInspector');
+const { skillMatcher } = require('./skillMatcher');
+const { piiRedactor } = require('./piiRedactor');
+
+// Standard headings applicant tracking systems look for, by section
+const SECTION_HEADINGS = {
+  experience: /^(?:(?:(?:work|professional|relevant)\s+)?experience|(?:employment|work|career)\s+history|employment)$/i,
+  education: /^(?:education(?:al\s+background)?|academic\s+(?:background|qualifications)|qualifications|education\s+(?:and|&)\s+training)$/i,
+  skills: /^(?:(?:technical|key|core|professional)\s+)?(?:skills|competencies|skills\s+(?:and|&)\s+(?:competencies|tools))$/i
+};
+
+const WORDS_PER_PAGE = 500;
+const MIN_WORDS = 150;
+// Job skill mentions above this share of all words read as keyword stuffing
+const MAX_KEYWORD_DENSITY = 0.08;
+// Horizontal gap (PDF points) between a left line start and a second column
+const COLUMN_GAP = 120;
+// Minimum lines in each column before a page counts as multi-column
+const MIN_COLUMN_LINES = 5;
+
+const STATUS_POINTS = { pass: 100, warn: 50, fail: 0 };
+
+const check = (id, name, status, detail, recommendation) => ({
+  id,
+  name,
+  status,
+  detail,
+  ...(status !== 'pass' && recommendation ? { recommendation } : {})
+});
+
+/**
+ * ATS compatibility audit of an uploaded CV file
+ *
+ * Runs locally on the file and its extracted text: selectable text, standard
+ * section headings, parseable contact details, length, tables and columns,
+ * and coverage of the job's skills. Each check is 'pass', 'warn' or 'fail'.
+ */
+const atsAudit = {
+  /**
+   * Resolves to { status, score, summary: { pass, warn, fail }, checks }
+   */
+  run({ buffer, text, source, job }) {
+    const type = fileInspector.detectType(buffer);
+    const layout = this.layout(buffer, type);
+    const words = (String(text || '').match(/\S+/g) || []).length;
+
+    const checks = [
+      this.checkSelectableText(type, source),
+      this.checkHeadings(text),
+      this.checkContactInfo(text, layout),
+      this.checkLength(layout.pageCount || Math.max(1, Math.ceil(words / WORDS_PER_PAGE)), words),
+      this.checkLayout(type, layout),
+      this.checkKeywords(text, words, job)
+    ];
+
+    const summary = { pass: 0, warn: 0, fail: 0 };
+    checks.forEach(item => summary[item.status]++);
+
+    return {
+      status: summary.fail ? 'fail' : summary.warn ? 'warn' : 'pass',
+      score: Math.round(checks.reduce((total, item) => total + STATUS_POINTS[item.status], 0) / checks.length),
+      summary,
+      checks
+    };
+  },
+
+  checkSelectableText(type, source) {
+    const name = 'Selectable text';
+    if (type === 'png' || type === 'jpeg') {
+      return check('selectableText', name, 'fail', 'The CV is an image; applicant tracking systems cannot read any of its text',
+        'Upload the CV as a text-based PDF or .docx file');
+    }
+    if (!String(source || '').startsWith('local-')) {
+      return check('selectableText', name, 'fail', 'The file has no readable text layer (scanned or image-only pages)',
+        'Export the CV from your word processor instead of scanning or printing it to an image');
+    }
+    return check('selectableText', name, 'pass', 'The text can be selected and read by software');
+  },
+
+  checkHeadings(text) {
+    const name = 'Standard section headings';
+    const lines = String(text || '').split('\n')
+      .map(line => line.trim().replace(/[:\s]+$/, ''))
+      .filter(line => line && line.split(/\s+/).length <= 5);
+    const found = Object.keys(SECTION_HEADINGS).filter(section => lines.some(line => SECTION_HEADINGS[section].test(line)));
+    const missing = Object.keys(SECTION_HEADINGS).filter(section => !found.includes(section));
+
+    if (missing.length === 0) {
+      return check('sectionHeadings', name, 'pass', 'Experience, Education and Skills headings were found');
+    }
+    return check('sectionHeadings', name, missing.length === 1 ? 'warn' : 'fail',
+      `Missing standard heading${missing.length > 1 ? 's' : ''} for: ${missing.join(', ')}`,
+      'Use plain headings such as "Experience", "Education" and "Skills" on their own lines');
+  },
+
+  checkContactInfo(text, layout) {
+    const name = 'Parseable contact information';
+    const { counts } = piiRedactor.redact(text);
+    const found = ['email', 'phone'].filter(category => counts[category]);
+
+    if (found.length === 2) {
+      return check('contactInfo', name, 'pass', 'An email address and a phone number were found in the body text');
+    }
+
+    const headerCounts = layout.headerText ? piiRedactor.redact(layout.headerText).counts : {};
+    const inHeaderOnly = ['email', 'phone'].some(category => headerCounts[category] && !counts[category]);
+    const missing = [['email', 'email address'], ['phone', 'phone number']]
+      .filter(([category]) => !counts[category])
+      .map(([, label]) => label);
+    return check('contactInfo', name, found.length === 1 ? 'warn' : 'fail',
+      inHeaderOnly
+        ? 'Contact details are only in the page header or footer, which many systems skip'
+        : `No ${missing.join(' or ')} could be read`,
+      'Put your email address and phone number as plain text near the top of the page, not in a header, image or text box');
+  },
+
+  checkLength(pageCount, words) {
+    const name = 'Page length';
+    const detail = `${pageCount} page${pageCount === 1 ? '' : 's'}, about ${words} words`;
+    if (words < MIN_WORDS) {
+      return check('pageLength', name, 'warn', `${detail}; too little content to match against job requirements`,
+        'Describe your experience, education and skills in more detail');
+    }
+    if (pageCount > 3) {
+      return check('pageLength', name, 'fail', detail, 'Shorten the CV to one or two pages');
+    }
+    if (pageCount === 3) {
+      return check('pageLength', name, 'warn', detail, 'Keep the CV to two pages unless your experience requires more');
+    }
+    return check('pageLength', name, 'pass', detail);
+  },
+
+  checkLayout(type, layout) {
+    const name = 'Tables and columns';
+    if (type === 'png' || type === 'jpeg') {
+      return check('layout', name, 'warn', 'The layout of an image cannot be checked', 'Upload a single-column PDF or .docx file');
+    }
+
+    const recommendation = 'Use a single-column layout without tables or text boxes';
+    if (layout.columns) {
+      return check('layout', name, 'fail', 'Multi-column layout; systems often read across the columns and mix up sections', recommendation);
+    }
+    const parts = [
+      layout.tables ? `${layout.tables} table${layout.tables > 1 ? 's' : ''}` : null,
+      layout.textBoxes ? `${layout.textBoxes} text box${layout.textBoxes > 1 ? 'es' : ''}` : null
+    ].filter(Boolean);
+    if (parts.length) {
+      return check('layout', name, 'warn', `Contains ${parts.join(' and ')}, which systems may skip or scramble`, recommendation);
+    }
+    return check('layout', name, 'pass', type === 'pdf' ? 'Single-column layout' : 'No tables, text boxes or columns found');
+  },
+
+  checkKeywords(text, words, job) {
+    const name = 'Job keyword coverage';
+    const required = (job.skills || []).filter(skill => typeof skill === 'string' && skill.trim());
+    if (required.length === 0) {
+      return check('keywordDensity', name, 'pass', 'The job lists no skills to check against');
+    }
+
+    const match = skillMatcher.match(required, { cvText: text });
+    const totalMentions = match.matched
+      .flatMap(item => item.matchedTerms)
+      .reduce((total, term) => total + this.countMentions(text, term), 0);
+    const density = words ? totalMentions / words : 0;
+    const detail = `${match.matched.length} of ${required.length} job skills appear (${match.coverage}%)` +
+      `${match.missing.length ? `; missing: ${match.missing.join(', ')}` : ''}`;
+
+    if (words >= MIN_WORDS && density > MAX_KEYWORD_DENSITY) {
+      return check('keywordDensity', name, 'warn', `${detail}; job skills make up ${Math.round(density * 100)}% of the words`,
+        'Mention each skill where you used it instead of repeating keywords');
+    }
+    if (match.coverage >= 70) {
+      return check('keywordDensity', name, 'pass', detail);
+    }
+    return check('keywordDensity', name, match.coverage >= 40 ? 'warn' : 'fail', detail,
+      'Use the job\'s own wording for the skills you have, e.g. in your Skills section and experience bullets');
+  },
+
+  countMentions(text, term) {
+    const pattern = skillMatcher.termPattern(term);
+    return (String(text).match(new RegExp(pattern.source, `${pattern.flags}g`)) || []).length;
+  },
+
+  /**
+   * Layout facts read from the file: { pageCount, tables, textBoxes, columns, headerText }
+   */
+  layout(buffer, type) {
+    const layout = { pageCount: null, tables: 0, textBoxes: 0, columns: false, headerText: '' };
+    try {
+      if (type === 'pdf') {
+        Object.assign(layout, this.pdfLayout(buffer));
+      } else if (type === 'docx') {
+        Object.assign(layout, this.docxLayout(buffer));
+      } else if (type === 'text') {
+        const rows = buffer.toString('utf8').split('\n').filter(line => /\t.*\t|\|.*\|/.test(line));
+        layout.tables = rows.length >= 3 ? 1 : 0;
+      } else if (type === 'png' || type === 'jpeg') {
+        layout.pageCount = 1;
+      }
+    } catch (error) {
+      // Unparseable layout: the checks fall back to what the text shows
+    }
+    return layout;
+  },
+
+  docxLayout(buffer) {
+    const entries = zipReader.readEntries(buffer);
+    const read = (entry) => zipReader.readEntry(buffer, entry).toString('utf8');
+    const documentEntry = entries.find(entry => entry.name === 'word/document.xml');
+    const xml = documentEntry ? read(documentEntry) : '';
+    const appEntry = entries.find(entry => entry.name === 'docProps/app.xml');
+    const pages = appEntry ? Number((read(appEntry).match(/<Pages>(\d+)<\/Pages>/) || [])[1]) : 0;
+    const columnCounts = [...xml.matchAll(/<w:cols\b[^>]*\bw:num="(\d+)"/g)].map(match => Number(match[1]));
+
+    return {
+      pageCount: pages || null,
+      tables: (xml.match(/<w:tbl>/g) || []).length,
+      textBoxes: (xml.match(/<w:txbxContent\b/g) || []).length,
+      columns: columnCounts.some(count => count > 1),
+      headerText: entries
+        .filter(entry => /^word\/(header|footer)\d*\.xml$/.test(entry.name))
+        .map(entry => docxParser.xmlToText(read(entry)))
+        .join('\n')
+    };
+  },
+
+  pdfLayout(buffer) {
+    const source = buffer.toString('latin1');
+    const objects = pdfParser.readObjects(source, buffer);
+    const pages = pdfParser.orderedPages(objects);
+    const columns = pages.some(page => {
+      const content = Buffer.concat(pdfParser.contentRefs(page.dict)
+        .map(ref => objects.get(ref))
+        .filter(Boolean)
+        .map(obj => pdfParser.decodeStream(obj)));
+      return this.hasColumns(this.lineStarts(content));
+    });
+
+    return { pageCount: pages.length || null, columns };
+  },
+
+  /**
+   * Position ({ x, y } in text space) where each line of text starts
+   */
+  lineStarts(content) {
+    const starts = [];
+    const operands = [];
+    let x = 0;
+    let y = 0;
+    let newLine = true;
+
+    for (const token of pdfParser.tokenize(content.toString('latin1'))) {
+      if (token.type !== 'operator') {
+        operands.push(token);
+        continue;
+      }
+
+      const number = (fromEnd) => {
+        const operand = operands[operands.length - fromEnd];
+        return operand && operand.type === 'number' ? operand.value : 0;
+      };
+
+      switch (token.value) {
+        case 'BT':
+          x = 0;
+          y = 0;
+          newLine = true;
+          break;
+        case 'Tm':
+          x = number(2);
+          y = number(1);
+          newLine = true;
+          break;
+        case 'Td':
+        case 'TD':
+          x += number(2);
+          y += number(1);
+          newLine = true;
+          break;
+        case 'T*':
+          newLine = true;
+          break;
+        case 'Tj':
+        case 'TJ':
+        case "'":
+        case '"':
+          if (newLine) {
+            starts.push({ x, y });
+            newLine = false;
+          }
+          break;
+        default:
+          break;
+      }
+      operands.length = 0;
+    }
+
+    return starts;
+  },
+
+  /**
+   * A page has columns when enough lines start well right of the left margin
+   * on rows where no left-margin line starts (right-aligned dates share a row)
+   */
+  hasColumns(starts) {
+    if (starts.length < MIN_COLUMN_LINES * 2) return false;
+
+    const margin = Math.min(...starts.map(start => start.x));
+    const left = starts.filter(start => start.x < margin + COLUMN_GAP / 2);
+    const leftRows = new Set(left.map(start => Math.round(start.y)));
+    const right = starts.filter(start => start.x >= margin + COLUMN_GAP &&
+      ![-1, 0, 1].some(offset => leftRows.has(Math.round(start.y) + offset)));
+
+    return left.length >= MIN_COLUMN_LINES && right.length >= MIN_COLUMN_LINES;
+  }
+};
+
+module.exports = {
+  atsAudit
+};
@@ -0,0 +1,107 @@
+/**
+ * Key/value caches for extracted text and analyses
+ *
+ * Every backend exposes:
+ * - get(key) -> cached value or null
+ * - set(key, value) -> void
+ * Values must be JSON-serializable. Keys are expected to be hex digests.
+ */
+
+/**
+ * Process-local cache, used in tests and local development
+ */
+function createMemoryCache({ ttlSeconds = 0, maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt < Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return JSON.parse(entry.value);
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      });
+      // Evict oldest insertions beyond the cap
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Appwrite collection cache. Documents hold { key, value, expiresAt } with the
+ * value JSON-encoded; the document id is the key truncated to Appwrite's 36-char
+ * limit and the full key is compared on read. No permissions are granted, so
+ * only the function's API key can read it.
+ */
+function createAppwriteCache(databases, { databaseId, collectionId, ttlSeconds = 0 }) {
+  const documentId = (key) => key.substring(0, 36);
+
+  return {
+    name: 'appwrite',
+
+    async get(key) {
+      let document;
+      try {
+        document = await databases.getDocument(databaseId, collectionId, documentId(key));
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+
+      if (document.key !== key) return null;
+      if (document.expiresAt && new Date(document.expiresAt).getTime() < Date.now()) return null;
+      return JSON.parse(document.value);
+    },
+
+    async set(key, value) {
+      const data = {
+        key,
+        value: JSON.stringify(value),
+        expiresAt: ttlSeconds ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : null
+      };
+
+      try {
+        await databases.createDocument(databaseId, collectionId, documentId(key), data, []);
+      } catch (error) {
+        if (error.code !== 409) throw error;
+        await databases.updateDocument(databaseId, collectionId, documentId(key), data);
+      }
+    }
+  };
+}
+
+/**
+ * Cache that never stores anything
+ */
+function createNoopCache() {
+  return {
+    name: 'none',
+    async get() {
+      return null;
+    },
+    async set() {}
+  };
+}
+
+module.exports = {
+  createMemoryCache,
+  createAppwriteCache,
+  createNoopCache
+};
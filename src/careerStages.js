@@ -0,0 +1,224 @@
+/**
+ * Career stage definitions
+ *
+ * Stages (description, focus, expectations, priorities, scoring weights and
+ * prompt fragments) come from a source:
+ * - createFileStageSource: a JSON array of definitions (careerStages.json by default)
+ * - createCollectionStageSource: one Appwrite document per stage
+ * The registry loads and validates them once and warm executions reuse them.
+ * Stages it does not know resolve to neutral guidance marked `known: false` and
+ * are logged, so they are reported instead of silently using another stage's guidance.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Query } = require('node-appwrite');
+const { schemaValidator } = require('./schemas');
+const { ConfigurationError, fromAppwriteError } = require('./errors');
+
+const text = { type: 'string' };
+const weight = { type: 'number', min: 0 };
+
+const stageDefinitionSchema = {
+  type: 'object',
+  properties: {
+    name: text,
+    description: text,
+    focus: text,
+    expectations: text,
+    priorities: { type: 'array', items: text },
+    scoringWeights: {
+      type: 'object',
+      properties: { skills: weight, degrees: weight, seniority: weight, careerStage: weight, coverLetter: weight }
+    },
+    promptFragments: {
+      type: 'object',
+      properties: { cvAnalysis: text, coverLetter: text }
+    }
+  }
+};
+
+const WEIGHT_KEYS = Object.keys(stageDefinitionSchema.properties.scoringWeights.properties);
+const MAX_STAGES = 100;
+
+// Guidance for stages that are not defined: nothing stage-specific, equal weights
+const UNKNOWN_STAGE = {
+  description: 'Career stage not recognized; guidance is not stage-specific',
+  focus: 'Overall fit for the role',
+  expectations: 'Positions matching the candidate\'s demonstrated experience',
+  priorities: ['Role fit'],
+  scoringWeights: Object.fromEntries(WEIGHT_KEYS.map(key => [key, 1])),
+  promptFragments: { cvAnalysis: '', coverLetter: '' }
+};
+
+/**
+ * Definitions from a JSON file holding an array of stages
+ */
+function createFileStageSource(filePath = path.join(__dirname, 'careerStages.json')) {
+  return {
+    name: 'file',
+
+    async load() {
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new ConfigurationError('Server configuration error', {
+          code: 'INVALID_CAREER_STAGES',
+          detail: `Career stages file ${filePath}: ${error.message}`,
+          cause: error
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Definitions from an Appwrite collection. scoringWeights and promptFragments
+ * are JSON string attributes; priorities is a string array.
+ */
+function createCollectionStageSource(databases, { databaseId, collectionId }) {
+  const parse = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  };
+
+  return {
+    name: 'collection',
+
+    async load() {
+      let result;
+      try {
+        result = await databases.listDocuments(databaseId, collectionId, [Query.limit(MAX_STAGES)]);
+      } catch (error) {
+        throw fromAppwriteError(error, 'Career stages');
+      }
+      return result.documents.map(document => ({
+        name: document.name,
+        description: document.description,
+        focus: document.focus,
+        expectations: document.expectations,
+        priorities: document.priorities,
+        scoringWeights: parse(document.scoringWeights),
+        promptFragments: parse(document.promptFragments)
+      }));
+    }
+  };
+}
+
+/**
+ * Problems with a list of stage definitions ("path: message"); empty when valid
+ */
+function validateStages(definitions) {
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    return ['stages: expected a non-empty array of stage definitions'];
+  }
+
+  const problems = [];
+  const names = new Set();
+  definitions.forEach((definition, index) => {
+    const label = `stages[${index}]`;
+    problems.push(...schemaValidator.validate(definition, stageDefinitionSchema, label));
+    if (!definition || typeof definition !== 'object') return;
+
+    const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+    if (!name) {
+      problems.push(`${label}.name: must not be empty`);
+    } else if (names.has(name.toLowerCase())) {
+      problems.push(`${label}.name: duplicate stage "${name}"`);
+    }
+    names.add(name.toLowerCase());
+
+    if (Array.isArray(definition.priorities) && definition.priorities.length === 0) {
+      problems.push(`${label}.priorities: must list at least one priority`);
+    }
+    const weights = definition.scoringWeights;
+    if (weights && typeof weights === 'object') {
+      for (const key of WEIGHT_KEYS) {
+        if (weights[key] !== undefined && (typeof weights[key] !== 'number' || !Number.isFinite(weights[key]) || weights[key] < 0)) {
+          problems.push(`${label}.scoringWeights.${key}: expected a non-negative number`);
+        }
+      }
+      if (WEIGHT_KEYS.every(key => typeof weights[key] === 'number') && WEIGHT_KEYS.every(key => weights[key] === 0)) {
+        problems.push(`${label}.scoringWeights: at least one weight must be positive`);
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * Registry over a stage source. Await load() before resolving stages with get().
+ * Each unknown stage is logged once.
+ */
+function createCareerStageRegistry(source, { log = console.warn } = {}) {
+  let loading = null;
+  let stages = null;
+  const unknown = new Set();
+
+  return {
+    source: source.name,
+
+    /**
+     * Load and validate the definitions on first use; a failed load is retried
+     * on the next call. Invalid definitions fail with a ConfigurationError
+     * listing every problem.
+     */
+    load() {
+      if (!loading) {
+        loading = source.load().then(definitions => {
+          const problems = validateStages(definitions);
+          if (problems.length > 0) {
+            throw new ConfigurationError('Server configuration error', {
+              code: 'INVALID_CAREER_STAGES',
+              detail: `Career stages (${source.name}): ${problems.join('; ')}`
+            });
+          }
+          stages = new Map(definitions.map(definition => [definition.name.trim().toLowerCase(), {
+            ...definition,
+            name: definition.name.trim()
+          }]));
+        });
+        loading.catch(() => {
+          loading = null;
+        });
+      }
+      return loading;
+    },
+
+    /**
+     * Definition of `stage` (case-insensitive) with `known: true`, or the neutral
+     * guidance with `known: false` for missing or undefined stages
+     */
+    get(stage) {
+      if (!stages) {
+        throw new ConfigurationError('Server configuration error', { detail: 'Career stages used before load()' });
+      }
+      const definition = typeof stage === 'string' ? stages.get(stage.trim().toLowerCase()) : null;
+      if (definition) {
+        return { ...definition, known: true };
+      }
+
+      const name = typeof stage === 'string' && stage.trim() ? stage.trim() : null;
+      if (!unknown.has(name)) {
+        unknown.add(name);
+        log(name ? `Unknown career stage "${name}"; known stages: ${this.names().join(', ')}` : 'No career stage on the talent profile');
+      }
+      return { ...UNKNOWN_STAGE, name, known: false };
+    },
+
+    names() {
+      return stages ? [...stages.values()].map(definition => definition.name) : [];
+    }
+  };
+}
+
+module.exports = {
+  createFileStageSource,
+  createCollectionStageSource,
+  createCareerStageRegistry,
+  validateStages
+};
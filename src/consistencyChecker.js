@@ -0,0 +1,244 @@
+const { skillMatcher, skillKey } = require('./skillMatcher');
+const { workHistory } = require('./workHistory');
+
+// Score deductions per finding, and the cap for each finding type
+const PENALTIES = {
+  skillOnlyInCoverLetter: { each: 8, max: 32 },
+  unsupportedAchievement: { each: 10, max: 30 },
+  employerMismatch: { each: 15, max: 30 },
+  titleMismatch: { each: 10, max: 20 },
+  dateMismatch: { each: 8, max: 16 },
+  experienceClaimMismatch: { each: 15, max: 15 },
+  jobSkillNotHighlighted: { each: 3, max: 15 }
+};
+
+const EDUCATION_LINE = /\b(?:bsc|ba|msc|ma|mba|phd|bachelor|master|diploma|degree|university|college|school|academy|institute)\b/i;
+
+/**
+ * Deterministic cross-document consistency check between a CV and a cover letter
+ */
+const consistencyChecker = {
+  /**
+   * Compare the two documents and score their consistency (0-100)
+   */
+  check(cvText, coverLetterText, { job = {}, employer = null, now = new Date() } = {}) {
+    const cv = String(cvText || '');
+    const coverLetter = String(coverLetterText || '');
+    const cvLower = cv.toLowerCase();
+
+    // Skills claimed in one document but not the other
+    const cvSkills = skillMatcher.scanText(cv, job.skills || []);
+    const coverLetterSkills = skillMatcher.scanText(coverLetter, job.skills || []);
+    const jobSkillKeys = new Set((job.skills || []).map(skill => skillKey(skillMatcher.canonicalize(skill).canonical)));
+
+    const skillsOnlyInCoverLetter = [...coverLetterSkills.keys()].filter(skill => !cvSkills.has(skill));
+    const skillsOnlyInCV = [...cvSkills.keys()].filter(skill => !coverLetterSkills.has(skill));
+    const jobSkillsNotHighlighted = skillsOnlyInCV.filter(skill => jobSkillKeys.has(skillKey(skill)));
+    const sharedSkills = [...coverLetterSkills.keys()].filter(skill => cvSkills.has(skill));
+
+    // Quantified achievements whose figures don't appear in the other document
+    const coverLetterAchievements = this.extractAchievements(coverLetter);
+    const cvAchievements = this.extractAchievements(cv);
+    const unsupportedAchievements = coverLetterAchievements
+      .filter(achievement => !achievement.figures.some(figure => this.containsFigure(cv, figure)));
+    const unusedAchievements = cvAchievements
+      .filter(achievement => !achievement.figures.some(figure => this.containsFigure(coverLetter, figure)))
+      .slice(0, 3);
+
+    // Employers and titles named in the cover letter but absent from the CV
+    const excluded = [employer && employer.name, job.name].filter(Boolean).map(name => name.toLowerCase());
+    const employerMismatches = this.extractEmployers(coverLetter)
+      .filter(name => !excluded.some(item => item.includes(name.toLowerCase()) || name.toLowerCase().includes(item)))
+      .filter(name => !cvLower.includes(name.toLowerCase()));
+    const titleMismatches = this.extractTitles(coverLetter)
+      .filter(title => !excluded.some(item => item === title.toLowerCase()))
+      .filter(title => !cvLower.includes(title.toLowerCase()));
+
+    // Dates and experience claims
+    const cvYears = new Set((cv.match(/\b(?:19|20)\d{2}\b/g) || []));
+    const dateMismatches = [...new Set(coverLetter.match(/\b(?:19|20)\d{2}\b/g) || [])]
+      .filter(year => !cvYears.has(year) && Number(year) < now.getFullYear());
+    const cvExperienceYears = this.experienceSpanYears(cv, now);
+    const claimedYears = this.claimedExperienceYears(coverLetter);
+    const experienceClaimMismatch = claimedYears !== null && cvExperienceYears !== null && claimedYears > cvExperienceYears + 1
+      ? { claimedYears, cvYears: cvExperienceYears }
+      : null;
+
+    const findings = {
+      skillsOnlyInCoverLetter,
+      skillsOnlyInCV,
+      jobSkillsNotHighlighted,
+      sharedSkills,
+      unsupportedAchievements: unsupportedAchievements.map(achievement => achievement.sentence),
+      unusedAchievements: unusedAchievements.map(achievement => achievement.sentence),
+      employerMismatches,
+      titleMismatches,
+      dateMismatches,
+      experienceClaimMismatch
+    };
+
+    const deductions = {
+      skillOnlyInCoverLetter: this.penalty('skillOnlyInCoverLetter', skillsOnlyInCoverLetter.length),
+      unsupportedAchievement: this.penalty('unsupportedAchievement', unsupportedAchievements.length),
+      employerMismatch: this.penalty('employerMismatch', employerMismatches.length),
+      titleMismatch: this.penalty('titleMismatch', titleMismatches.length),
+      dateMismatch: this.penalty('dateMismatch', dateMismatches.length),
+      experienceClaimMismatch: this.penalty('experienceClaimMismatch', experienceClaimMismatch ? 1 : 0),
+      jobSkillNotHighlighted: this.penalty('jobSkillNotHighlighted', jobSkillsNotHighlighted.length)
+    };
+    const totalDeduction = Object.values(deductions).reduce((sum, value) => sum + value, 0);
+
+    return {
+      score: Math.max(0, 100 - totalDeduction),
+      strengthsAlignment: this.describeStrengths(sharedSkills),
+      improvementAreas: this.describeIssues(findings),
+      findings,
+      deductions
+    };
+  },
+
+  penalty(type, count) {
+    const { each, max } = PENALTIES[type];
+    return Math.min(max, each * count);
+  },
+
+  /**
+   * Sentences containing a number, percentage or currency amount (contact lines excluded)
+   */
+  extractAchievements(text) {
+    return text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence && !/@|\+?\d[\d\s().-]{7,}\d/.test(sentence))
+      .map(sentence => ({
+        sentence,
+        figures: (sentence.match(/[$\u20ac\u00a3]?\d[\d,.]*\s*(?:%|k\b|m\b|percent\b|\+)?/gi) || [])
+          .map(figure => figure.trim().replace(/[.,]$/, ''))
+          // Years and single digits are not achievement figures
+          .filter(figure => !/^(?:19|20)\d{2}$/.test(figure) && !/^\d$/.test(figure))
+      }))
+      .filter(achievement => achievement.figures.length > 0);
+  },
+
+  /**
+   * Numeric value of a figure such as "10,000", "10k", "$2.5M" or "45%"
+   */
+  figureValue(figure) {
+    const match = figure.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/(\d+(?:\.\d+)?)\s*([km])?\b/i);
+    if (!match) return null;
+    const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+    return Number(match[1]) * multiplier;
+  },
+
+  /**
+   * Whether a figure's value appears anywhere in a text, however it is written there
+   */
+  containsFigure(text, figure) {
+    const value = this.figureValue(figure);
+    if (value === null) return false;
+
+    const figuresInText = text
+      .replace(/(\d),(?=\d{3}\b)/g, '$1')
+      .match(/\d+(?:\.\d+)?\s*[km]?\b/gi) || [];
+    return figuresInText.some(candidate => this.figureValue(candidate) === value);
+  },
+
+  /**
+   * Organisation names introduced by "at", "with" or "for" in first-person context
+   */
+  extractEmployers(text) {
+    // A name word may contain dots ("Node.js", "A.B.C") but a dot before whitespace ends the sentence
+    const word = "[A-Z](?:[\\w&'-]|\\.(?!\\s|$))*";
+    const pattern = new RegExp(`\\b(?:worked|working|work|role|position|employed|experience|time|job|internship|tenure|years?)\\s+(?:\\w+\\s+){0,4}?(?:at|with|for)\\s+(${word}(?:\\s+(?!I\\b)(?:${word}|&|of))*)`, 'g');
+    const names = new Set();
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const name = match[1].replace(/\s+(?:&|of)$/, '').replace(/[.'-]+$/, '').trim();
+      // "experience with React" names a skill, not an employer
+      const firstWord = name.split(/\s+/)[0];
+      const isSkill = skillMatcher.canonicalize(name).known || skillMatcher.canonicalize(firstWord).known;
+      if (name.length > 1 && !isSkill && !/^(?:I|My|The|A|An|This|Your)$/.test(name)) {
+        names.add(name);
+      }
+    }
+    return [...names];
+  },
+
+  /**
+   * Job titles the writer claims ("as a Senior Developer", "my role as Analyst")
+   */
+  extractTitles(text) {
+    const pattern = new RegExp(`\\bas\\s+(?:an?\\s+|the\\s+)?((?:[A-Z][\\w/-]*\\s+){0,3}(?:${workHistory.titleWords}))\\b`, 'gi');
+    const titles = new Set();
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const title = match[1].trim();
+      // Require a capitalized title so generic prose ("as a developer") isn't treated as a claim
+      if (/^[A-Z]/.test(title)) {
+        titles.add(title);
+      }
+    }
+    return [...titles];
+  },
+
+  /**
+   * Years covered by the CV's work date ranges (overlaps merged), or null if none found
+   */
+  experienceSpanYears(text, now = new Date()) {
+    // Study periods are not work experience
+    const spans = text.split('\n')
+      .filter(line => !EDUCATION_LINE.test(line))
+      .flatMap(line => workHistory.ranges(line, now))
+      .map(range => [range.startIndex, range.endIndex]);
+    if (spans.length === 0) return null;
+
+    return Math.round((workHistory.mergedMonths(spans) / 12) * 10) / 10;
+  },
+
+  /**
+   * Largest "N years of experience" style claim in a text, or null
+   */
+  claimedExperienceYears(text) {
+    const claims = [...text.matchAll(/\b(\d{1,2})\+?\s+years?\s+(?:of\s+)?(?:\w+\s+){0,3}?(?:experience|expertise)/gi)]
+      .map(match => Number(match[1]));
+    return claims.length ? Math.max(...claims) : null;
+  },
+
+  describeStrengths(sharedSkills) {
+    if (sharedSkills.length === 0) {
+      return 'The CV and cover letter do not highlight any of the same skills';
+    }
+    return `Both documents consistently highlight ${sharedSkills.slice(0, 5).join(', ')}`;
+  },
+
+  describeIssues(findings) {
+    const issues = [];
+    if (findings.skillsOnlyInCoverLetter.length) {
+      issues.push(`Cover letter mentions ${findings.skillsOnlyInCoverLetter.join(', ')} which the CV does not show`);
+    }
+    if (findings.unsupportedAchievements.length) {
+      issues.push(`${findings.unsupportedAchievements.length} quantified achievement(s) in the cover letter are not backed by the CV`);
+    }
+    if (findings.employerMismatches.length) {
+      issues.push(`Employer(s) ${findings.employerMismatches.join(', ')} appear only in the cover letter`);
+    }
+    if (findings.titleMismatches.length) {
+      issues.push(`Title(s) ${findings.titleMismatches.join(', ')} in the cover letter do not match the CV`);
+    }
+    if (findings.dateMismatches.length) {
+      issues.push(`Year(s) ${findings.dateMismatches.join(', ')} in the cover letter do not appear in the CV`);
+    }
+    if (findings.experienceClaimMismatch) {
+      const { claimedYears, cvYears } = findings.experienceClaimMismatch;
+      issues.push(`Cover letter claims ${claimedYears} years of experience but the CV dates cover about ${cvYears}`);
+    }
+    if (findings.jobSkillsNotHighlighted.length) {
+      issues.push(`Job-relevant skills from the CV not mentioned in the cover letter: ${findings.jobSkillsNotHighlighted.join(', ')}`);
+    }
+    return issues.length ? issues.join('; ') : 'No inconsistencies found between the documents';
+  }
+};
+
+module.exports = {
+  consistencyChecker
+};
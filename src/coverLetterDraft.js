@@ -0,0 +1,141 @@
+const { skillMatcher } = require('./skillMatcher');
+const { consistencyChecker } = require('./consistencyChecker');
+
+// Share of a claim's significant words that must appear in its cited CV lines
+const MIN_WORD_OVERLAP = 0.25;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'to', 'of', 'in', 'on', 'for', 'with', 'my', 'me', 'i',
+  'by', 'at', 'as', 'or', 'into', 'from', 'that', 'this', 'be', 'is', 'was', 'have',
+  'has', 'had', 'am', 'are', 'where', 'which', 'who', 'while', 'over', 'your', 'our'
+]);
+
+/**
+ * Split CV text into 1-based numbered lines, skipping blank ones
+ */
+function numberLines(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ number: index + 1, text: line.trim() }))
+    .filter(line => line.text !== '');
+}
+
+/**
+ * Helpers for model-drafted cover letters whose claims cite CV line numbers
+ */
+const coverLetterDraft = {
+  /**
+   * CV text with line numbers, as shown to the model
+   */
+  formatNumberedCV(text) {
+    return numberLines(text).map(line => `[${line.number}] ${line.text}`).join('\n');
+  },
+
+  /**
+   * Check every claim against the CV lines it cites. A claim is 'supported' when
+   * its figures, skills and employers all appear in those lines and enough of its
+   * wording overlaps; 'weak' when only the wording overlap is low; 'unsupported'
+   * otherwise (including claims citing no existing line).
+   */
+  trace(draft, cvText) {
+    const lines = new Map(numberLines(cvText).map(line => [line.number, line.text]));
+    const claims = [];
+
+    (draft.paragraphs || []).forEach((paragraph, paragraphIndex) => {
+      for (const claim of paragraph.claims || []) {
+        const cited = [...new Set(claim.cvLines || [])].filter(number => lines.has(number));
+        const evidence = cited.map(number => ({ line: number, text: lines.get(number) }));
+        const problems = this.problems(claim.statement, evidence.map(item => item.text).join('\n'));
+
+        if (cited.length === 0) {
+          problems.unshift('cites no existing CV line');
+        }
+
+        claims.push({
+          paragraph: paragraphIndex,
+          statement: claim.statement,
+          cvLines: cited,
+          evidence,
+          status: problems.length > 0 ? 'unsupported' : this.wordOverlap(claim.statement, evidence) < MIN_WORD_OVERLAP ? 'weak' : 'supported',
+          problems
+        });
+      }
+    });
+
+    const unsupported = claims.filter(claim => claim.status === 'unsupported');
+
+    return {
+      claims,
+      supportedCount: claims.filter(claim => claim.status === 'supported').length,
+      weakCount: claims.filter(claim => claim.status === 'weak').length,
+      unsupportedCount: unsupported.length,
+      fullyTraceable: claims.length > 0 && unsupported.length === 0
+    };
+  },
+
+  /**
+   * Facts in a statement that its evidence text does not back up
+   */
+  problems(statement, evidenceText, where = 'cited lines') {
+    const problems = [];
+    const evidenceLower = evidenceText.toLowerCase();
+
+    for (const figure of String(statement).match(/\d[\d,.]*\s*[km%+]?/gi) || []) {
+      if (!consistencyChecker.containsFigure(evidenceText, figure)) {
+        problems.push(`figure "${figure.trim()}" not in ${where}`);
+      }
+    }
+
+    const evidenceSkills = skillMatcher.scanText(evidenceText);
+    for (const skill of skillMatcher.scanText(statement).keys()) {
+      if (!evidenceSkills.has(skill)) {
+        problems.push(`skill "${skill}" not in ${where}`);
+      }
+    }
+
+    for (const name of consistencyChecker.extractEmployers(statement)) {
+      if (!evidenceLower.includes(name.toLowerCase())) {
+        problems.push(`employer "${name}" not in ${where}`);
+      }
+    }
+
+    return problems;
+  },
+
+  wordOverlap(statement, evidence) {
+    const words = this.significantWords(statement);
+    if (words.size === 0) return 1;
+
+    const evidenceWords = this.significantWords(evidence.map(item => item.text).join(' '));
+    let shared = 0;
+    for (const word of words) {
+      if (evidenceWords.has(word)) shared++;
+    }
+    return shared / words.size;
+  },
+
+  significantWords(text) {
+    return new Set(
+      String(text).toLowerCase().split(/[^a-z0-9+#.]+/)
+        .map(word => word.replace(/\.+$/, ''))
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    );
+  },
+
+  /**
+   * Render the draft as plain letter text
+   */
+  toText(draft, signature) {
+    return [
+      draft.salutation,
+      ...(draft.paragraphs || []).map(paragraph => paragraph.text),
+      draft.closing,
+      signature
+    ].filter(part => typeof part === 'string' && part.trim()).join('\n\n');
+  }
+};
+
+module.exports = {
+  numberLines,
+  coverLetterDraft
+};
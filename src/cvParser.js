@@ -0,0 +1,350 @@
+const { skillMatcher, skillKey } = require('./skillMatcher');
+const { piiRedactor } = require('./piiRedactor');
+const { workHistory } = require('./workHistory');
+
+// Leading list markers: dashes, bullets of various shapes, "1." / "1)"
+const BULLET_MARKER = /^(?:[-*•▪◦●–‣⁃·]|\d{1,2}[.)])\s+/;
+// Unmarked lines longer than this are description, not entry headers
+const MAX_HEADER_WORDS = 12;
+
+// Section headings (lowercased, trailing colon removed); 'other' ends the previous section
+const SECTION_HEADINGS = [
+  ['summary', /^(?:(?:professional|career|personal)\s+)?(?:summary|profile|objective)$|^about(?:\s+me)?$/],
+  ['experience', /^(?:(?:work|professional|relevant)\s+)?experience$|^(?:employment|work|career)(?:\s+history)?$/],
+  ['education', /^education(?:\s+(?:and|&)\s+training)?$|^(?:academic|educational)\s+(?:background|qualifications|history)$|^qualifications$/],
+  ['skills', /^(?:(?:technical|key|core|professional)\s+)?(?:skills|competencies)(?:\s+(?:and|&)\s+\w+)?$|^tools(?:\s+(?:and|&)\s+technologies)?$/],
+  ['certifications', /^(?:professional\s+)?certifications?(?:\s+(?:and|&)\s+(?:courses|training|licen[cs]es))?$|^certificates$|^licen[cs]es(?:\s+(?:and|&)\s+certifications)?$/],
+  ['projects', /^(?:(?:personal|selected|key|academic|notable)\s+)?projects$/],
+  ['other', /^(?:awards?|honou?rs|achievements|languages|interests|hobbies|references|referees|publications|activities|volunteer(?:ing)?(?:\s+experience)?|extracurricular\s+activities)$/]
+];
+
+const DEGREE = /\b(?:(?:bachelor|master)(?:'?s)?(?:\s+of\s+\w+(?:\s+\w+){0,3}|\s+degree)?|diploma|certificate\s+in|associate\s+degree|doctorate|high\s+school|secondary\s+school\s+certificate|a[- ]levels?|o[- ]levels?)\b|\b(?:B\.?Sc|M\.?Sc|B\.?A|M\.?A|B\.?Eng|M\.?Eng|B\.?Com|B\.?Ed|BS|MS|MBA|Ph\.?D|KCSE|GED|HND)\b\.?/;
+const INSTITUTION = /\b(?:university|college|school|institute|academy|polytechnic|faculty)\b/i;
+
+// "Nairobi, Kenya" on a line of its own
+const CITY_LINE = /^[\p{L}][\p{L}.' -]{1,30},\s*[\p{L}][\p{L}.' -]{1,30}$/u;
+const LINK = /\b(?:https?:\/\/|www\.)[^\s,;|]+|\b(?:linkedin\.com|github\.com|gitlab\.com|behance\.net)\/[^\s,;|]+/gi;
+
+// Expected years of experience by job.seniorityLevel keyword (max null = open-ended)
+const SENIORITY_YEARS = [
+  [/\b(?:intern(?:ship)?|graduate|trainee)\b/i, 0, 1],
+  [/\bentry\b/i, 0, 2],
+  [/\bjunior\b/i, 0, 3],
+  [/\b(?:mid|intermediate)\b/i, 2, 6],
+  [/\bsenior\b/i, 5, null],
+  [/\b(?:lead|principal|staff)\b/i, 7, null],
+  [/\b(?:head|director|executive|chief)\b/i, 10, null]
+];
+// Years beyond a level's maximum before a candidate reads as over-qualified
+const OVERQUALIFIED_MARGIN = 2;
+
+const wordCount = (text) => (String(text).match(/\S+/g) || []).length;
+const roundYears = (months) => Math.round((months / 12) * 10) / 10;
+
+/**
+ * Deterministic parser turning CV text into a typed profile
+ */
+const cvParser = {
+  /**
+   * Parse CV text into
+   * { contact, summary, experience, education, skills, certifications, projects, experienceYears }
+   */
+  parse(text, { now = new Date() } = {}) {
+    const source = String(text || '');
+    const sections = this.sections(source);
+    const entries = this.parseExperience(sections.experience || [], now);
+
+    return {
+      contact: this.parseContact(source, sections.header || []),
+      summary: sections.summary ? sections.summary.map(line => line.replace(BULLET_MARKER, '')).join(' ') : null,
+      experience: entries.map(({ span, ...entry }) => entry),
+      education: this.parseEducation(sections.education || []),
+      skills: this.parseSkills(sections.skills || [], source),
+      certifications: (sections.certifications || []).map(line => this.parseCertification(line)),
+      projects: this.parseProjects(sections.projects || []),
+      experienceYears: this.experienceYears(entries)
+    };
+  },
+
+  /**
+   * Group non-empty lines under their section heading; lines before the first
+   * heading go to 'header'
+   */
+  sections(text) {
+    const sections = {};
+    let current = 'header';
+
+    for (const raw of text.split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line) continue;
+
+      const heading = this.headingSection(line);
+      if (heading) {
+        current = heading;
+        sections[current] = sections[current] || [];
+        continue;
+      }
+      (sections[current] = sections[current] || []).push(line);
+    }
+
+    return sections;
+  },
+
+  headingSection(line) {
+    const normalized = line.replace(/^[#*\s]+|[:\s]+$/g, '').replace(/\s+/g, ' ').toLowerCase();
+    if (!normalized || wordCount(normalized) > 5) return null;
+    const match = SECTION_HEADINGS.find(([, pattern]) => pattern.test(normalized));
+    return match ? match[0] : null;
+  },
+
+  /**
+   * Work history entries. An entry starts at a line holding a date range; its
+   * title and employer come from that line or the short lines just before or
+   * after it, and bullets or long lines that follow are its bullets. Entries
+   * carry their month-index span for the experience totals.
+   */
+  parseExperience(lines, now) {
+    const entries = [];
+    let pending = [];
+    let current = null;
+
+    for (const raw of lines) {
+      const isBullet = BULLET_MARKER.test(raw);
+      const line = raw.replace(BULLET_MARKER, '').trim();
+      const range = isBullet ? null : workHistory.parseRange(line, now);
+
+      if (range) {
+        current = { headerParts: [...pending, workHistory.withoutRange(line, range)].filter(Boolean), range, bullets: [] };
+        entries.push(current);
+        pending = [];
+      } else if (isBullet || wordCount(line) > MAX_HEADER_WORDS) {
+        if (current) current.bullets.push(line);
+      } else if (current && current.headerParts.length === 0) {
+        current.headerParts.push(line);
+      } else {
+        pending = [...pending, line].slice(-2);
+      }
+    }
+
+    return entries.map(({ headerParts, range, bullets }) => {
+      const { title, employer } = workHistory.splitHeader(headerParts);
+      return {
+        title,
+        employer,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        current: range.current,
+        durationMonths: range.endIndex - range.startIndex,
+        bullets,
+        skills: [...skillMatcher.scanText([title, employer, ...bullets].filter(Boolean).join('\n')).keys()],
+        span: [range.startIndex, range.endIndex]
+      };
+    });
+  },
+
+  /**
+   * Education entries: a new entry starts when a line names a degree or an
+   * institution the current entry already has
+   */
+  parseEducation(lines) {
+    const blocks = [];
+    let block = null;
+
+    for (const raw of lines) {
+      if (BULLET_MARKER.test(raw) && block) continue;
+      const line = raw.replace(BULLET_MARKER, '').trim();
+      const hasDegree = DEGREE.test(line);
+      const hasInstitution = INSTITUTION.test(line);
+
+      if (!block || (hasDegree && block.degree) || (hasInstitution && block.institution && !hasDegree)) {
+        block = { degree: null, institution: null, lines: [] };
+        blocks.push(block);
+      }
+      block.lines.push(line);
+      block.degree = block.degree || hasDegree;
+      block.institution = block.institution || hasInstitution;
+    }
+
+    return blocks
+      .filter(entry => entry.degree || entry.institution)
+      .map(entry => this.parseEducationEntry(entry.lines.join(' | ')));
+  },
+
+  parseEducationEntry(text) {
+    const range = workHistory.parseRange(text);
+    const rest = range ? workHistory.withoutRange(text, range) : text;
+    const segments = rest.split(/\s*(?:,|\||\(|\)|\s[-–—]\s|\s+at\s+)\s*/).filter(Boolean);
+    const years = rest.match(/\b(?:19|20)\d{2}\b/g) || [];
+
+    const degreeSegment = segments.find(segment => DEGREE.test(segment)) || null;
+    const institution = segments.find(segment => segment !== degreeSegment && INSTITUTION.test(segment)) ||
+      (degreeSegment && INSTITUTION.test(degreeSegment) && !/\b(?:bachelor|master|diploma|certificate)\b/i.test(degreeSegment) ? degreeSegment : null);
+
+    return {
+      degree: degreeSegment ? degreeSegment.substring(degreeSegment.search(DEGREE)).replace(/\b(?:19|20)\d{2}\b/g, '').trim() : null,
+      institution: institution ? institution.replace(/\b(?:19|20)\d{2}\b/g, '').trim() : null,
+      startDate: range ? range.startDate : null,
+      endDate: range ? range.endDate : years.length ? years[years.length - 1] : null
+    };
+  },
+
+  /**
+   * Canonical skills from the skills section, then any other taxonomy skill the CV mentions
+   */
+  parseSkills(lines, text) {
+    const terms = lines
+      .map(line => line.replace(BULLET_MARKER, '').replace(/^[^:]{1,30}:\s*/, ''))
+      .flatMap(line => line.split(/\s*[,;|/•·]\s*|\t|\s{2,}/))
+      .map(term => term.replace(/\([^)]*\)|[.]$/g, '').trim())
+      .filter(term => term && term.length <= 40 && wordCount(term) <= 4);
+
+    const skills = new Map();
+    for (const term of terms) {
+      const { canonical } = skillMatcher.canonicalize(term);
+      if (!skills.has(skillKey(canonical))) skills.set(skillKey(canonical), canonical);
+    }
+    for (const canonical of skillMatcher.scanText(text).keys()) {
+      if (!skills.has(skillKey(canonical))) skills.set(skillKey(canonical), canonical);
+    }
+    return [...skills.values()];
+  },
+
+  parseCertification(line) {
+    const text = line.replace(BULLET_MARKER, '').trim();
+    const years = text.match(/\b(?:19|20)\d{2}\b/g) || [];
+    return {
+      name: text.replace(/\(?\b(?:19|20)\d{2}\b\)?/g, '').replace(/[\s,|–—-]+$/, '').trim(),
+      year: years.length ? Number(years[years.length - 1]) : null
+    };
+  },
+
+  /**
+   * Projects: a short unmarked line names a project ("Name: description" or
+   * "Name - description"); bullets and long lines describe the current one
+   */
+  parseProjects(lines) {
+    const projects = [];
+    for (const raw of lines) {
+      const isBullet = BULLET_MARKER.test(raw);
+      const line = raw.replace(BULLET_MARKER, '').trim();
+      const current = projects[projects.length - 1];
+
+      if (current && (isBullet || wordCount(line) > MAX_HEADER_WORDS)) {
+        current.bullets.push(line);
+        continue;
+      }
+      const [name, ...description] = line.split(/\s*(?::|\s[-–—]\s)\s*/);
+      projects.push({ name: name.trim(), description: description.join(' - ').trim() || null, bullets: [] });
+    }
+
+    return projects.map(project => ({
+      ...project,
+      skills: [...skillMatcher.scanText([project.name, project.description, ...project.bullets].filter(Boolean).join('\n')).keys()]
+    }));
+  },
+
+  /**
+   * Name (first header line that reads as one), emails, phones, links and
+   * location (a redacted address, else a "City, Country" header line)
+   */
+  parseContact(text, headerLines) {
+    const { replacements } = piiRedactor.redact(text);
+    const values = (prefix) => Object.keys(replacements)
+      .filter(placeholder => placeholder.startsWith(`[${prefix}_`))
+      .map(placeholder => replacements[placeholder]);
+    const nameLine = headerLines.find(line => /^[\p{L}][\p{L}'.-]*(?:\s+[\p{L}][\p{L}'.-]*){1,3}$/u.test(line));
+
+    return {
+      name: nameLine || null,
+      emails: values('EMAIL'),
+      phones: values('PHONE'),
+      links: [...new Set((text.match(LINK) || []).map(link => link.replace(/[.)]+$/, '')))],
+      location: values('ADDRESS')[0] || headerLines.find(line => line !== nameLine && CITY_LINE.test(line)) || null
+    };
+  },
+
+  /**
+   * Years of work experience in total and per skill from parsed entries,
+   * overlapping periods counted once
+   */
+  experienceYears(experience) {
+    const total = workHistory.mergedMonths(experience.map(entry => entry.span));
+    const spansBySkill = new Map();
+    for (const entry of experience) {
+      for (const skill of entry.skills) {
+        if (!spansBySkill.has(skill)) spansBySkill.set(skill, []);
+        spansBySkill.get(skill).push(entry.span);
+      }
+    }
+
+    return {
+      total: experience.length ? roundYears(total) : null,
+      bySkill: Object.fromEntries([...spansBySkill].map(([skill, spans]) => [skill, roundYears(workHistory.mergedMonths(spans))]))
+    };
+  },
+
+  /**
+   * Compare total years with the range expected for the job's seniority level
+   */
+  seniorityCheck(totalYears, seniorityLevel) {
+    const level = SENIORITY_YEARS.find(([pattern]) => pattern.test(String(seniorityLevel || '')));
+    const result = {
+      jobLevel: seniorityLevel || null,
+      expectedYears: level ? { min: level[1], max: level[2] } : null,
+      candidateYears: totalYears,
+      fit: 'unknown',
+      levelMatch: null
+    };
+    if (!level || totalYears === null) {
+      return result;
+    }
+
+    const [, min, max] = level;
+    result.fit = totalYears < min ? 'below' : max !== null && totalYears > max + OVERQUALIFIED_MARGIN ? 'above' : 'within';
+    result.levelMatch = result.fit === 'within';
+    return result;
+  },
+
+  /**
+   * Attach computed experience to a CV analysis. The seniority check replaces the
+   * model's levelMatch when it can be decided; the original is kept under llm.
+   */
+  applyToAnalysis(analysis, profile, job) {
+    const llm = analysis.experienceAlignment || {};
+    const seniority = this.seniorityCheck(profile.experienceYears.total, job.seniorityLevel);
+    const bySkill = new Map(Object.entries(profile.experienceYears.bySkill).map(([skill, years]) => [skillKey(skill), years]));
+    const jobSkillYears = Object.fromEntries((job.skills || [])
+      .filter(skill => typeof skill === 'string' && skill.trim())
+      .map(skill => [skill, bySkill.get(skillKey(skillMatcher.canonicalize(skill).canonical)) || 0]));
+
+    return {
+      ...analysis,
+      experienceAlignment: {
+        ...llm,
+        levelMatch: seniority.levelMatch !== null ? seniority.levelMatch : llm.levelMatch,
+        totalYears: profile.experienceYears.total,
+        jobSkillYears,
+        seniorityCheck: seniority,
+        llm: { levelMatch: llm.levelMatch }
+      }
+    };
+  },
+
+  /**
+   * Parsed skills and degrees missing from the talent document
+   */
+  profileGaps(profile, talent) {
+    const known = new Set((talent.skills || []).map(skill => skillKey(skillMatcher.canonicalize(skill).canonical)));
+    const degrees = (talent.degrees || []).map(degree => String(degree).toLowerCase());
+
+    return {
+      missingSkills: profile.skills.filter(skill => !known.has(skillKey(skill))),
+      missingDegrees: [...new Set(profile.education.map(entry => entry.degree).filter(Boolean))]
+        .filter(degree => !degrees.some(existing => existing.includes(degree.toLowerCase()) || degree.toLowerCase().includes(existing)))
+    };
+  }
+};
+
+module.exports = {
+  cvParser
+};
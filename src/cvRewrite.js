@@ -0,0 +1,99 @@
+const { coverLetterDraft } = require('./coverLetterDraft');
+
+// Leading list markers: dashes, bullets of various shapes, "1." / "1)"
+const BULLET_MARKER = /^([ \t]*(?:[-*\u2022\u25aa\u25e6\u25cf\u2013\u2023\u2043]|\d{1,2}[.)])[ \t]+)(.+?)[ \t]*$/;
+// Without marked bullets, lines with at least this many words are treated as bullets
+const MIN_UNMARKED_WORDS = 8;
+
+/**
+ * Line-anchored CV rewrite suggestions
+ */
+const cvRewrite = {
+  /**
+   * Split text into lines keeping each line's character offset in the original
+   */
+  lines(text) {
+    const lines = [];
+    const pattern = /([^\r\n]*)(\r\n|\r|\n|$)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      lines.push({ number: lines.length + 1, offset: match.index, text: match[1] });
+      if (match[2] === '') break;
+    }
+    return lines;
+  },
+
+  /**
+   * Find CV bullets. Offsets point at the bullet content, after any list marker,
+   * so replacing [offset, offset + length) with a rewrite keeps the marker.
+   */
+  extractBullets(text) {
+    const lines = this.lines(String(text || ''));
+
+    const marked = [];
+    for (const line of lines) {
+      const match = line.text.match(BULLET_MARKER);
+      if (match) {
+        marked.push({ line, start: match[1].length, content: match[2] });
+      }
+    }
+
+    const candidates = marked.length > 0
+      ? marked
+      : lines
+        .filter(line => line.text.trim().split(/\s+/).length >= MIN_UNMARKED_WORDS && !/@|https?:\/\//.test(line.text))
+        .map(line => ({ line, start: line.text.length - line.text.trimStart().length, content: line.text.trim() }));
+
+    return candidates.map((candidate, index) => ({
+      id: index + 1,
+      text: candidate.content,
+      line: candidate.line.number,
+      offset: candidate.line.offset + candidate.start,
+      length: candidate.content.length
+    }));
+  },
+
+  /**
+   * Bullets as shown to the model
+   */
+  formatBullets(bullets) {
+    return bullets.map(bullet => `[${bullet.id}] ${bullet.text}`).join('\n');
+  },
+
+  /**
+   * Attach model suggestions to their bullets. Suggestions for unknown bullets,
+   * repeats for the same bullet and no-op rewrites are dropped; rewrites adding
+   * figures, skills or employers the CV never mentions carry warnings.
+   */
+  anchor(suggestions, bullets, cvText) {
+    const byId = new Map(bullets.map(bullet => [bullet.id, bullet]));
+    const seen = new Set();
+    const anchored = [];
+
+    for (const suggestion of suggestions || []) {
+      const bullet = byId.get(suggestion.bulletId);
+      const rewrite = (suggestion.rewrite || '').trim();
+      if (!bullet || seen.has(bullet.id) || !rewrite || rewrite === bullet.text) {
+        continue;
+      }
+      seen.add(bullet.id);
+
+      anchored.push({
+        id: `rewrite-${bullet.id}`,
+        bulletId: bullet.id,
+        original: bullet.text,
+        rewrite,
+        reason: suggestion.reason,
+        targets: suggestion.targets,
+        anchor: { offset: bullet.offset, length: bullet.length, line: bullet.line },
+        warnings: coverLetterDraft.problems(rewrite, cvText, 'the CV')
+      });
+    }
+
+    return anchored.sort((a, b) => a.anchor.offset - b.anchor.offset);
+  }
+};
+
+module.exports = {
+  cvRewrite
+};
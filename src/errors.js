@@ -0,0 +1,153 @@
+/**
+ * Error hierarchy for everything reported to clients
+ *
+ * Every AppError carries
+ * - code: stable machine-readable identifier the frontend can localize
+ * - statusCode: HTTP status for the response
+ * - message: user-safe text returned to the client
+ * - detail: internal explanation that is logged but never returned
+ * - retryable: whether repeating the same request may succeed
+ */
+
+class AppError extends Error {
+  constructor(message, { code, statusCode, detail = null, retryable, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.defaultCode || 'INTERNAL_ERROR';
+    this.statusCode = statusCode || this.constructor.defaultStatus || 500;
+    this.detail = detail;
+    this.retryable = retryable !== undefined ? retryable : !!this.constructor.defaultRetryable;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * Response body in the repo's usual { success, error, statusCode } shape
+   */
+  toResponse() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      statusCode: this.statusCode,
+      retryable: this.retryable
+    };
+  }
+
+  /**
+   * Line for the execution log, including the internal detail
+   */
+  toLog() {
+    return `${this.code} (${this.statusCode}): ${this.message}${this.detail ? ` - ${this.detail}` : ''}`;
+  }
+}
+
+class ValidationError extends AppError {}
+ValidationError.defaultCode = 'VALIDATION_FAILED';
+ValidationError.defaultStatus = 400;
+
+class AuthorizationError extends AppError {}
+AuthorizationError.defaultCode = 'FORBIDDEN';
+AuthorizationError.defaultStatus = 403;
+
+class NotFoundError extends AppError {}
+NotFoundError.defaultCode = 'NOT_FOUND';
+NotFoundError.defaultStatus = 404;
+
+class ParseError extends AppError {}
+ParseError.defaultCode = 'PARSE_FAILED';
+ParseError.defaultStatus = 422;
+
+class UpstreamAIError extends AppError {}
+UpstreamAIError.defaultCode = 'AI_UNAVAILABLE';
+UpstreamAIError.defaultStatus = 502;
+UpstreamAIError.defaultRetryable = true;
+
+class UpstreamStorageError extends AppError {}
+UpstreamStorageError.defaultCode = 'STORAGE_UNAVAILABLE';
+UpstreamStorageError.defaultStatus = 503;
+UpstreamStorageError.defaultRetryable = true;
+
+class ConfigurationError extends AppError {}
+ConfigurationError.defaultCode = 'CONFIGURATION_ERROR';
+ConfigurationError.defaultStatus = 500;
+
+/**
+ * Translate an Appwrite SDK failure. `resource` names what was requested
+ * (e.g. 'Job') and prefixes the not-found code (JOB_NOT_FOUND).
+ */
+function fromAppwriteError(error, resource) {
+  if (error instanceof AppError) return error;
+
+  const status = typeof error.code === 'number' ? error.code : null;
+  const detail = `${resource}: ${error.message}`;
+
+  if (status === 404) {
+    return new NotFoundError(`${resource} not found`, {
+      code: `${resource.toUpperCase().replace(/\W+/g, '_')}_NOT_FOUND`,
+      detail,
+      cause: error
+    });
+  }
+  if (status === 401 || status === 403) {
+    // The function's API key lacks a scope or the collection permissions are wrong
+    return new ConfigurationError('Server configuration error', { detail, cause: error });
+  }
+  return new UpstreamStorageError('The data service is temporarily unavailable, please try again', {
+    detail,
+    cause: error
+  });
+}
+
+/**
+ * Translate a model/provider failure raised while performing `task`
+ */
+function fromAIError(error, task) {
+  if (error instanceof AppError) return error;
+
+  const detail = `${task}: ${error.message}`;
+  if (error.deadlineExceeded) {
+    return new UpstreamAIError('The analysis took too long, please try again', { code: 'DEADLINE_EXCEEDED', statusCode: 504, detail, cause: error });
+  }
+  if (error.status === 429) {
+    return new UpstreamAIError('The AI service is busy, please try again shortly', { code: 'AI_RATE_LIMITED', statusCode: 503, detail, cause: error });
+  }
+  if (/not valid JSON/i.test(error.message)) {
+    return new ParseError('The AI service returned an unusable response, please try again', {
+      code: 'AI_RESPONSE_INVALID',
+      statusCode: 502,
+      retryable: true,
+      detail,
+      cause: error
+    });
+  }
+  return new UpstreamAIError('The AI service is temporarily unavailable, please try again', { detail, cause: error });
+}
+
+/**
+ * Wrap anything thrown into an AppError, hiding unexpected messages from clients
+ */
+function toAppError(error) {
+  if (error instanceof AppError) return error;
+  return new AppError('An unexpected error occurred', {
+    code: 'INTERNAL_ERROR',
+    statusCode: 500,
+    detail: error && error.message,
+    cause: error
+  });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+  ParseError,
+  UpstreamAIError,
+  UpstreamStorageError,
+  ConfigurationError,
+  fromAppwriteError,
+  fromAIError,
+  toAppError
+};
@@ -0,0 +1,51 @@
+/**
+ * Bias-safe CV scoring
+ *
+ * In fairness mode the CV is masked with the redactor's protected-attribute
+ * rules and the prompt tells the model to ignore such attributes. The audit
+ * then re-scores the masked CV with counterfactual names in place of the
+ * candidate's and flags the result when the score moves by more than a threshold.
+ */
+
+const PROMPT_INSTRUCTIONS = `FAIRNESS REQUIREMENTS:
+- Judge only job-relevant skills, experience, education and achievements.
+- Do not consider or infer the candidate's name, age, gender, ethnicity, nationality, marital status, religion, disability or appearance.
+- Placeholders such as [NAME_1] or [AGE_1] hide personal details on purpose; do not penalize or speculate about them.`;
+
+const fairness = {
+  promptInstructions: PROMPT_INSTRUCTIONS,
+
+  /**
+   * Masked CV text and talent with `name` standing in for the candidate. When
+   * the CV never mentioned the name it only changes in the talent profile.
+   */
+  counterfactual(redaction, talent, name) {
+    const text = redaction.fullname ? redaction.text.split(redaction.fullname).join(name) : redaction.text;
+    return { text, talent: { ...talent, fullname: name } };
+  },
+
+  /**
+   * Compare counterfactual scores ({ name, score } or { name, error }) with the
+   * masked baseline score
+   */
+  evaluate(baselineScore, results, threshold) {
+    const counterfactuals = results.map(result => (result.error
+      ? { name: result.name, score: null, difference: null, error: result.error }
+      : { name: result.name, score: result.score, difference: Math.abs(result.score - baselineScore) }));
+    const differences = counterfactuals.filter(item => item.difference !== null).map(item => item.difference);
+    const maxDifference = differences.length ? Math.max(...differences) : null;
+
+    return {
+      baselineScore,
+      threshold,
+      counterfactuals,
+      maxDifference,
+      complete: differences.length === results.length,
+      flagged: maxDifference !== null && maxDifference > threshold
+    };
+  }
+};
+
+module.exports = {
+  fairness
+};
@@ -0,0 +1,270 @@
+const { zipReader } = require('./textExtractor');
+const { ValidationError } = require('./errors');
+
+// DOCX archive limits; real CVs are far below these
+const MAX_ARCHIVE_ENTRIES = 2000;
+const MAX_ARCHIVE_UNCOMPRESSED = 50 * 1024 * 1024;
+// Per-entry compression ratio above which a large entry is treated as a zip bomb
+const MAX_COMPRESSION_RATIO = 200;
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+// Images smaller than this (either side) cannot hold a readable document
+const MIN_IMAGE_SIDE = 100;
+// Compressed bytes per pixel below which an image is almost certainly a single flat colour
+const BLANK_IMAGE_BYTES_PER_PIXEL = { png: 0.01, jpeg: 0.025 };
+
+const SIGNATURES = [
+  { type: 'pdf', test: (buffer) => buffer.subarray(0, 1024).includes('%PDF-') },
+  { type: 'png', test: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'jpeg', test: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { type: 'zip', test: (buffer) => buffer.readUInt32LE(0) === 0x04034b50 },
+  { type: 'ole', test: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) },
+  { type: 'rtf', test: (buffer) => buffer.subarray(0, 5).toString('latin1') === '{\\rtf' },
+  { type: 'executable', test: (buffer) => buffer.subarray(0, 2).toString('latin1') === 'MZ' || buffer.subarray(0, 4).toString('latin1') === '\x7fELF' },
+  { type: 'gif', test: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'GIF8' }
+];
+
+const TYPE_LABELS = {
+  pdf: 'PDF document',
+  png: 'PNG image',
+  jpeg: 'JPEG image',
+  zip: 'ZIP archive',
+  docx: 'Word document (.docx)',
+  ole: 'legacy Office document',
+  rtf: 'RTF document',
+  executable: 'executable program',
+  gif: 'GIF image',
+  text: 'plain text',
+  unknown: 'unrecognized binary data'
+};
+
+// Detected content types each extension may contain
+const EXPECTED_TYPES = {
+  '.pdf': ['pdf'],
+  '.png': ['png'],
+  '.jpg': ['jpeg'],
+  '.jpeg': ['jpeg'],
+  '.docx': ['docx'],
+  '.doc': ['ole', 'rtf', 'docx'],
+  '.txt': ['text']
+};
+
+// Extension used for extraction once the real type is known
+const CANONICAL_EXTENSIONS = { pdf: '.pdf', png: '.png', jpeg: '.jpg', docx: '.docx', text: '.txt' };
+
+/**
+ * Content-based checks on uploaded documents
+ */
+const fileInspector = {
+  /**
+   * Decode a base64 upload, rejecting malformed data. Whitespace and line
+   * breaks are ignored; data URLs and URL-safe alphabets are not accepted.
+   */
+  decodeBase64(data) {
+    const compact = typeof data === 'string' ? data.replace(/\s+/g, '') : '';
+    if (compact === '' || compact.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+      throw new ValidationError('File data is not valid base64', {
+        code: 'INVALID_BASE64',
+        detail: compact.startsWith('data:') ? 'data URL prefix present' : `length ${compact.length}`
+      });
+    }
+    return Buffer.from(compact, 'base64');
+  },
+
+  /**
+   * Exact decoded size of base64 data without decoding it
+   */
+  decodedSize(data) {
+    const compact = String(data || '').replace(/\s+/g, '');
+    const padding = compact.endsWith('==') ? 2 : compact.endsWith('=') ? 1 : 0;
+    return Math.floor(compact.length / 4) * 3 - padding;
+  },
+
+  /**
+   * Identify a buffer's real type from its content
+   */
+  detectType(buffer) {
+    if (buffer.length < 8) {
+      return this.looksLikeText(buffer) ? 'text' : 'unknown';
+    }
+
+    const match = SIGNATURES.find(signature => signature.test(buffer));
+    if (!match) {
+      return this.looksLikeText(buffer) ? 'text' : 'unknown';
+    }
+    if (match.type === 'zip') {
+      return this.isDocx(buffer) ? 'docx' : 'zip';
+    }
+    return match.type;
+  },
+
+  isDocx(buffer) {
+    try {
+      const names = new Set(zipReader.readEntries(buffer).map(entry => entry.name));
+      return names.has('[Content_Types].xml') && names.has('word/document.xml');
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Text files: no NUL bytes and (unless UTF-16 with BOM) valid UTF-8
+   */
+  looksLikeText(buffer) {
+    const sample = buffer.subarray(0, 64 * 1024);
+    if ((sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff)) {
+      return true;
+    }
+    if (sample.includes(0)) {
+      return false;
+    }
+    // A multi-byte sequence may be cut at the end of the sample
+    const decoded = sample.toString('utf8');
+    const replacements = (decoded.match(/\ufffd/g) || []).length;
+    return replacements <= (sample.length < buffer.length ? 1 : 0);
+  },
+
+  /**
+   * Check a decoded upload against its file extension and reject unsafe or
+   * unusable content. Resolves to { type, extension } where extension is the
+   * one to extract with (e.g. a DOCX saved as .doc is handled as .docx).
+   */
+  inspect(buffer, extension) {
+    if (buffer.length === 0) {
+      throw new ValidationError('The uploaded file is empty', { code: 'EMPTY_FILE' });
+    }
+
+    const type = this.detectType(buffer);
+    const expected = EXPECTED_TYPES[extension] || [];
+
+    // Password-protected .docx files are OLE containers holding the encrypted package
+    if (type === 'ole' && this.isEncryptedOffice(buffer)) {
+      throw new ValidationError('Password-protected Office documents cannot be analyzed. Remove the password and upload the file again.', {
+        code: 'ENCRYPTED_DOCUMENT'
+      });
+    }
+
+    if (!expected.includes(type)) {
+      throw new ValidationError(`The file content does not match its ${extension} extension (looks like ${TYPE_LABELS[type]})`, {
+        code: 'FILE_TYPE_MISMATCH',
+        detail: `extension ${extension}, detected ${type}`
+      });
+    }
+
+    switch (type) {
+      case 'pdf':
+        this.checkPdf(buffer);
+        break;
+      case 'docx':
+        this.checkArchive(buffer);
+        break;
+      case 'png':
+      case 'jpeg':
+        this.checkImage(buffer, type);
+        break;
+      case 'ole':
+      case 'rtf':
+        this.rejectLegacyDocument(buffer, type, extension);
+        break;
+      default:
+        break;
+    }
+
+    return { type, extension: CANONICAL_EXTENSIONS[type] || extension };
+  },
+
+  checkPdf(buffer) {
+    const source = buffer.toString('latin1');
+    if (/\/Encrypt\s+(?:\d+\s+\d+\s+R|<<)/.test(source)) {
+      throw new ValidationError('Password-protected or encrypted PDFs cannot be analyzed. Remove the protection and upload the file again.', {
+        code: 'ENCRYPTED_PDF'
+      });
+    }
+    if (!/\/Type\s*\/Page\b/.test(source) && !/\/ObjStm\b/.test(source)) {
+      throw new ValidationError('The PDF has no pages', { code: 'EMPTY_FILE' });
+    }
+  },
+
+  checkArchive(buffer) {
+    const entries = zipReader.readEntries(buffer);
+    const uncompressedTotal = entries.reduce((total, entry) => total + entry.uncompressedSize, 0);
+    const suspicious = entries.find(entry =>
+      entry.uncompressedSize > RATIO_CHECK_MIN_SIZE &&
+      entry.uncompressedSize / Math.max(1, entry.compressedSize) > MAX_COMPRESSION_RATIO);
+
+    if (entries.length > MAX_ARCHIVE_ENTRIES || uncompressedTotal > MAX_ARCHIVE_UNCOMPRESSED || suspicious) {
+      throw new ValidationError('The Word document expands to an unsafe size and was rejected', {
+        code: 'ARCHIVE_TOO_LARGE',
+        detail: `${entries.length} entries, ${uncompressedTotal} bytes uncompressed${suspicious ? `, ${suspicious.name} ratio ${Math.round(suspicious.uncompressedSize / Math.max(1, suspicious.compressedSize))}` : ''}`
+      });
+    }
+    // Bit 0 of the general purpose flags marks an encrypted entry
+    if (entries.some(entry => entry.flags & 0x1)) {
+      throw new ValidationError('Password-protected Word documents cannot be analyzed. Remove the password and upload the file again.', {
+        code: 'ENCRYPTED_DOCUMENT'
+      });
+    }
+  },
+
+  checkImage(buffer, type) {
+    const size = type === 'png' ? this.pngSize(buffer) : this.jpegSize(buffer);
+    if (!size || size.width === 0 || size.height === 0) {
+      throw new ValidationError('The image is empty or corrupt', { code: 'EMPTY_IMAGE' });
+    }
+    if (size.width < MIN_IMAGE_SIDE || size.height < MIN_IMAGE_SIDE) {
+      throw new ValidationError(`The image is too small to read (${size.width}x${size.height} pixels)`, { code: 'IMAGE_TOO_SMALL' });
+    }
+    if (buffer.length / (size.width * size.height) < BLANK_IMAGE_BYTES_PER_PIXEL[type]) {
+      throw new ValidationError('The image appears to be blank', {
+        code: 'BLANK_IMAGE',
+        detail: `${buffer.length} bytes for ${size.width}x${size.height} pixels`
+      });
+    }
+  },
+
+  pngSize(buffer) {
+    if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  },
+
+  /**
+   * Dimensions from the first start-of-frame marker
+   */
+  jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      const length = buffer.readUInt16BE(offset + 2);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+      offset += 2 + length;
+    }
+    return null;
+  },
+
+  isEncryptedOffice(buffer) {
+    return buffer.includes(Buffer.from('EncryptionInfo', 'utf16le'));
+  },
+
+  /**
+   * Legacy Word (.doc) binaries and RTF are not readable by the text extractor
+   * or the model; point the user at a supported format instead
+   */
+  rejectLegacyDocument(buffer, type, extension) {
+    throw new ValidationError(`Legacy ${extension} files cannot be analyzed. Open the file in Word, Google Docs or LibreOffice, save it as .docx or PDF, and upload it again.`, {
+      code: 'LEGACY_DOC_UNSUPPORTED',
+      detail: `detected ${type}`
+    });
+  }
+};
+
+module.exports = {
+  fileInspector
+};
@@ -1,5 +1,35 @@
-const { Client, Databases, Query, Storage, ID } = require('node-appwrite');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
+const { Client, Databases, Functions, Query, Storage, ID } = require('node-appwrite');
+const { InputFile } = require('node-appwrite/file');
+const { textExtractor, MIN_TEXT_LENGTH } = require('./textExtractor');
+const { cvAnalysisSchema, coverLetterAnalysisSchema, coverLetterDraftSchema, cvRewriteSchema, careerStageSchema } = require('./schemas');
+const { createProvider } = require('./providers');
+const { revisionComparer } = require('./revisionComparer');
+const { createMemoryCache, createAppwriteCache, createNoopCache } = require('./cache');
+const { skillMatcher } = require('./skillMatcher');
+const { consistencyChecker } = require('./consistencyChecker');
+const { coverLetterDraft } = require('./coverLetterDraft');
+const { cvRewrite } = require('./cvRewrite');
+const { fileInspector } = require('./fileInspector');
+const { piiRedactor } = require('./piiRedactor');
+const { fairness } = require('./fairness');
+const { atsAudit } = require('./atsAudit');
+const { cvParser } = require('./cvParser');
+const { scoring } = require('./scoring');
+const { profileAutofill } = require('./profileAutofill');
+const { streamFormat, isValidProgressId, createProgressStore, createProgressChannel } = require('./progress');
+const { createResiliencePolicy } = require('./resilience');
+const { createFileStageSource, createCollectionStageSource, createCareerStageRegistry } = require('./careerStages');
+const {
+  ValidationError,
+  AuthorizationError,
+  NotFoundError,
+  ParseError,
+  ConfigurationError,
+  fromAppwriteError,
+  fromAIError,
+  toAppError
+} = require('./errors');
 
 // Initialize Appwrite client
 const client = new Client();
@@ -10,85 +40,146 @@ client
   .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID || '67d074d0001dadc04f94')
   .setKey(process.env.APPWRITE_FUNCTION_API_KEY);
 
-const databases = new Databases(client);
-const storage = new Storage(client);
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // Configuration
 const config = {
   databaseId: 'career4me',
   jobsCollectionId: 'jobs',
   talentsCollectionId: 'talents',
   employersCollectionId: '67d870d800046e4c2a61',
+  analysesCollectionId: 'analyses',
+  cacheCollectionId: 'analysis_cache',
+  progressCollectionId: 'analysis_progress',
+  analysisRunsCollectionId: 'analysis_runs',
+  careerStagesCollectionId: 'career_stages',
+  cacheTtlSeconds: 7 * 24 * 60 * 60, // 7 days
   storageId: 'avatars',
+  cvBucketId: 'cvs',
+  // Employer attribute holding the owning user's id (document permissions are also checked)
+  employerOwnerAttribute: 'userId',
   allowedExtensions: ['.pdf', '.jpg', '.jpeg', '.png', '.doc', '.docx', '.txt'],
   maxFileSize: 5 * 1024 * 1024, // 5MB
+  // Whether personal details are redacted from every CV and cover letter prompt when a request does not set redactPII
+  redactPII: process.env.REDACT_PII === 'true',
+  // Bump whenever analysis prompts change so cached analyses are not reused
+  promptVersion: 2,
+  asyncRuns: {
+    // A 'running' run not updated for this long is assumed abandoned and may be resumed
+    staleAfterSeconds: 15 * 60
+  },
+  fairness: {
+    // Substituted for the candidate's name by the counterfactual audit; varied in implied gender and origin
+    counterfactualNames: ['Emily Walsh', 'DeShawn Jackson', 'Wanjiru Kamau', 'Mohammed Haddad'],
+    // Audit flags a CV whose score moves by more than this many points with another name
+    scoreDifferenceThreshold: 5
+  },
+  scoring: {
+    // Multipliers on the career stage's scoringWeights by job seniorityLevel; the first matching rule applies
+    seniorityRules: [
+      { name: 'early', levels: /\b(?:intern(?:ship)?|graduate|trainee|entry|junior)\b/i, multipliers: { degrees: 1.5, seniority: 0.5 } },
+      { name: 'senior', levels: /\b(?:senior|lead|principal|staff|head|director|executive)\b/i, multipliers: { degrees: 0.5, seniority: 1.5 } }
+    ]
+  },
+  batch: {
+    maxJobs: 10,
+    maxCandidates: 20,
+    concurrency: 3
+  },
   aiConfig: {
     model: "gemini-1.5-flash",
     maxOutputTokens: 3000,
     temperature: 0.4
+  },
+  resilience: {
+    // Must match the function's configured timeout (FUNCTION_TIMEOUT_SECONDS overrides)
+    functionTimeoutSeconds: 300,
+    // Kept free at the end of an execution to build and send the response
+    reserveSeconds: 5,
+    maxAttempts: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    timeouts: {
+      llm: 60 * 1000,
+      appwrite: 15 * 1000
+    }
   }
 };
 
+// Timeouts and retries for every model and Appwrite call, bounded by the execution deadline
+const resilience = createResiliencePolicy({
+  ...config.resilience,
+  functionTimeoutSeconds: Number(process.env.FUNCTION_TIMEOUT_SECONDS) || config.resilience.functionTimeoutSeconds
+});
+
+const databases = resilience.wrapService(new Databases(client), 'databases');
+const storage = resilience.wrapService(new Storage(client), 'storage');
+const functions = resilience.wrapService(new Functions(client), 'functions');
+
+// Initialize LLM provider (LLM_PROVIDER selects gemini, openai or mock)
+const llm = resilience.wrapProvider(createProvider(process.env, config.aiConfig));
+
+// Initialize cache backend (ANALYSIS_CACHE selects appwrite, memory or none)
+const cache = (() => {
+  switch ((process.env.ANALYSIS_CACHE || 'appwrite').toLowerCase()) {
+    case 'memory':
+      return createMemoryCache({ ttlSeconds: config.cacheTtlSeconds });
+    case 'none':
+      return createNoopCache();
+    default:
+      return createAppwriteCache(databases, {
+        databaseId: config.databaseId,
+        collectionId: config.cacheCollectionId,
+        ttlSeconds: config.cacheTtlSeconds
+      });
+  }
+})();
+
+// Progress documents polled by clients that cannot consume a stream
+const progressStore = createProgressStore(databases, {
+  databaseId: config.databaseId,
+  collectionId: config.progressCollectionId
+});
+
+// Career stage definitions, loaded once per container (CAREER_STAGES_SOURCE
+// selects file or collection; CAREER_STAGES_FILE overrides the bundled careerStages.json)
+const careerStages = createCareerStageRegistry((process.env.CAREER_STAGES_SOURCE || 'file').toLowerCase() === 'collection'
+  ? createCollectionStageSource(databases, {
+    databaseId: config.databaseId,
+    collectionId: config.careerStagesCollectionId
+  })
+  : createFileStageSource(process.env.CAREER_STAGES_FILE || undefined));
+
 /**
  * Utility Functions
  */
 const utils = {
-  /**
-   * Extract and clean JSON from AI response
-   */
-  extractAndCleanJSON(text) {
-    try {
-      let cleaned = text
-        .replace(/```json\s*/g, '')
-        .replace(/```\s*/g, '')
-        .trim();
-      
-      const startIndex = cleaned.indexOf('{');
-      const lastIndex = cleaned.lastIndexOf('}');
-      
-      if (startIndex === -1 || lastIndex === -1 || startIndex >= lastIndex) {
-        throw new Error('No valid JSON object found in response');
-      }
-      
-      cleaned = cleaned
-        .substring(startIndex, lastIndex + 1)
-        .replace(/,(\s*[}\]])/g, '$1')
-        .replace(/([{,]\s*)(\w+):/g, '$1"$2":')
-        .replace(/:\s*'([^']*)'/g, ': "$1"')
-        .replace(/\n/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-      
-      return cleaned;
-    } catch (error) {
-      throw new Error(`Failed to clean JSON: ${error.message}`);
-    }
-  },
-
   /**
    * Validate file type and size
    */
   validateFile(fileName, fileData) {
     if (!fileName || !fileData) {
-      throw new Error('File name and data are required');
+      throw new ValidationError('File name and data are required', { code: 'MISSING_FILE' });
     }
 
     const fileExtension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
     
     if (!config.allowedExtensions.includes(fileExtension)) {
-      throw new Error('Unsupported file type. Please upload PDF, DOC, DOCX, JPG, PNG, or TXT files.');
+      throw new ValidationError('Unsupported file type. Please upload PDF, DOC, DOCX, JPG, PNG, or TXT files.', {
+        code: 'UNSUPPORTED_FILE_TYPE'
+      });
     }
 
-    // Calculate file size from base64 data
-    const fileSizeBytes = Math.ceil((fileData.length * 3) / 4);
+    const fileSizeBytes = fileInspector.decodedSize(fileData);
     if (fileSizeBytes > config.maxFileSize) {
-      throw new Error(`File size too large (${Math.round(fileSizeBytes / 1024 / 1024)}MB). Please upload files smaller than 5MB.`);
+      throw new ValidationError(`File size too large (${Math.round(fileSizeBytes / 1024 / 1024)}MB). Please upload files smaller than 5MB.`, {
+        code: 'FILE_TOO_LARGE'
+      });
     }
 
-    return { extension: fileExtension, size: fileSizeBytes };
+    // Content must be valid base64 and really be the type its extension claims
+    const buffer = fileInspector.decodeBase64(fileData);
+    const { type } = fileInspector.inspect(buffer, fileExtension);
+
+    return { extension: fileExtension, size: buffer.length, type };
   },
 
   /**
@@ -116,31 +207,164 @@ const utils = {
   },
 
   /**
-   * Get career stage context for analysis
+   * Career stage definition for analysis (see careerStages.js); unknown or
+   * missing stages resolve to neutral guidance with `known: false`
    */
   getCareerStageContext(careerStage) {
-    const stageContexts = {
-      'Pathfinder': {
-        description: 'Early career professional finding their career direction',
-        focus: 'Learning, exploration, and skill building',
-        expectations: 'Entry to junior level positions with growth potential',
-        priorities: ['Skill development', 'Career exploration', 'Mentorship opportunities']
-      },
-      'Trailblazer': {
-        description: 'Established professional seeking continued growth',
-        focus: 'Career advancement and expertise development',
-        expectations: 'Mid to senior level positions with leadership opportunities',
-        priorities: ['Career progression', 'Leadership development', 'Expertise building']
-      },
-      'Horizon Changer': {
-        description: 'Experienced professional pivoting to new career direction',
-        focus: 'Career transition and skill transfer',
-        expectations: 'Roles that leverage transferable skills while enabling transition',
-        priorities: ['Skill transferability', 'Industry transition', 'Strategic career moves']
+    return careerStages.get(careerStage);
+  },
+
+  /**
+   * Score weights for a talent and job: the career stage's scoringWeights
+   * adjusted by the job's seniority rule
+   */
+  scoreWeighting(talent, job) {
+    const careerStageContext = this.getCareerStageContext(talent.careerStage);
+    const { weights, seniorityRule } = scoring.weightsFor(careerStageContext.scoringWeights, job.seniorityLevel, config.scoring.seniorityRules);
+    return {
+      careerStage: careerStageContext.known ? careerStageContext.name : null,
+      seniorityLevel: job.seniorityLevel || null,
+      seniorityRule,
+      weights
+    };
+  },
+
+  /**
+   * The parts of a stage definition that reach the prompts (not the scoring weights)
+   */
+  stageGuidance(careerStage) {
+    const { description, focus, expectations, priorities, promptFragments } = this.getCareerStageContext(careerStage);
+    return { description, focus, expectations, priorities, promptFragments };
+  },
+
+  /**
+   * SHA-256 hex digest of a buffer or string
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  },
+
+  /**
+   * Parse a JSON string attribute, returning the fallback when absent or invalid
+   */
+  parseStoredJSON(value, fallback = null) {
+    if (typeof value !== 'string' || value === '') {
+      return fallback;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  },
+
+  /**
+   * Career stage block returned to the client alongside an analysis
+   */
+  buildCareerStageSummary(talent) {
+    const careerStageContext = this.getCareerStageContext(talent.careerStage);
+    return {
+      stage: careerStageContext.known ? careerStageContext.name : talent.careerStage || 'Not specified',
+      recognized: careerStageContext.known,
+      description: careerStageContext.description,
+      focus: careerStageContext.focus,
+      priorities: careerStageContext.priorities,
+      ...(careerStageContext.known ? {} : {
+        warning: talent.careerStage
+          ? `Unknown career stage "${talent.careerStage}"; expected one of: ${careerStages.names().join(', ')}`
+          : 'The talent profile has no career stage'
+      })
+    };
+  },
+
+  /**
+   * Job block returned to the client alongside an analysis
+   */
+  buildJobContext(job, employer) {
+    return {
+      position: job.name || 'Not specified',
+      company: employer?.name || 'Company information not available',
+      level: job.seniorityLevel || 'Not specified',
+      industry: job.industry || 'Not specified'
+    };
+  },
+
+  /**
+   * Map over items running at most `limit` async calls at once; results keep input order
+   */
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
       }
     };
-    
-    return stageContexts[careerStage] || stageContexts['Pathfinder'];
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  },
+
+  /**
+   * PII redaction for a request: its redactPII flag, else the configured default
+   */
+  shouldRedact(requestData) {
+    return typeof requestData.redactPII === 'boolean' ? requestData.redactPII : config.redactPII;
+  },
+
+  /**
+   * Whether a user owns an employer document, by owner attribute or update permission
+   */
+  isEmployerOwner(employer, userId) {
+    if (!employer || !userId) {
+      return false;
+    }
+    return employer[config.employerOwnerAttribute] === userId ||
+      (employer.$permissions || []).includes(`update("user:${userId}")`);
+  },
+
+  /**
+   * Whether a user owns a talent document, by talentId or update permission
+   */
+  isTalentOwner(talent, userId) {
+    if (!talent || !userId) {
+      return false;
+    }
+    return talent.talentId === userId || (talent.$permissions || []).includes(`update("user:${userId}")`);
+  },
+
+  /**
+   * Structured per-document error: { code, stage, message, retryable, statusCode }
+   */
+  describeDocumentError(stage, documentError) {
+    const failure = toAppError(documentError);
+    return {
+      code: failure.code,
+      stage,
+      message: failure.message,
+      retryable: failure.retryable,
+      statusCode: failure.statusCode
+    };
+  },
+
+  /**
+   * Send an error response; the internal detail only goes to `log`
+   */
+  sendError(res, failure, log) {
+    const appError = toAppError(failure);
+    if (log) log(appError.toLog());
+    return res.json(appError.toResponse(), appError.statusCode);
+  },
+
+  /**
+   * sendError for responses delivered through a progress channel
+   */
+  respondError(progress, failure, log) {
+    const appError = toAppError(failure);
+    if (log) log(appError.toLog());
+    return progress.respond(appError.toResponse(), appError.statusCode);
   },
 
   /**
@@ -154,18 +378,118 @@ const utils = {
   }
 };
 
+/**
+ * Content-hash Caching
+ *
+ * Extracted text is keyed by the file bytes and document type. Analyses are keyed
+ * by the document text plus every talent, job and employer field the prompts use,
+ * the prompt version and the model configuration. Cache failures never fail a run.
+ */
+const analysisCache = {
+  extractionKey(fileBuffer, documentType) {
+    return utils.hashContent(`extraction:${utils.hashContent(fileBuffer)}:${documentType}`);
+  },
+
+  analysisKey(kind, text, talent, job, employer, { fairnessMode = false } = {}) {
+    return utils.hashContent(JSON.stringify({
+      kind,
+      ...(fairnessMode ? { fairnessMode } : {}),
+      promptVersion: config.promptVersion,
+      model: {
+        provider: llm.name,
+        model: llm.model,
+        temperature: config.aiConfig.temperature,
+        maxOutputTokens: config.aiConfig.maxOutputTokens
+      },
+      text: utils.hashContent(text),
+      careerStageDefinition: utils.hashContent(JSON.stringify(utils.stageGuidance(talent.careerStage))),
+      talent: {
+        fullname: talent.fullname || null,
+        careerStage: talent.careerStage || null,
+        skills: talent.skills || [],
+        degrees: talent.degrees || []
+      },
+      job: {
+        name: job.name || null,
+        seniorityLevel: job.seniorityLevel || null,
+        skills: job.skills || [],
+        Degrees: job.Degrees || [],
+        responsibilities: job.responsibilities || null
+      },
+      employer: employer?.name || null
+    }));
+  },
+
+  async read(key) {
+    try {
+      return await cache.get(key);
+    } catch (error) {
+      console.warn(`Cache read failed: ${error.message}`);
+      return null;
+    }
+  },
+
+  async write(key, value) {
+    try {
+      await cache.set(key, value);
+    } catch (error) {
+      console.warn(`Cache write failed: ${error.message}`);
+    }
+  }
+};
+
 /**
  * Document Processing Functions
  */
 const documentProcessor = {
   /**
-   * Extract text content from document using Gemini Vision
+   * Extract text content from document. TXT, DOCX and text-based PDFs are parsed
+   * locally; scanned PDFs, images and legacy formats fall back to the model's vision.
+   * Resolves to { text, source, cached } where source names the extraction path used.
    */
   async extractText(fileBuffer, fileName, documentType = 'CV') {
+    const cacheKey = analysisCache.extractionKey(fileBuffer, documentType);
+    const cached = await analysisCache.read(cacheKey);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    // Extract by detected content type (e.g. a DOCX saved as .doc), rejecting unsafe files
+    const { extension } = fileInspector.inspect(fileBuffer, fileName.toLowerCase().substring(fileName.lastIndexOf('.')));
+    let extracted = null;
+
+    try {
+      extracted = textExtractor.extract(fileBuffer, extension);
+    } catch (parseError) {
+      console.warn(`Local ${documentType} extraction failed, falling back to ${llm.name}: ${parseError.message}`);
+    }
+
+    if (!extracted) {
+      extracted = await this.extractTextWithModel(fileBuffer, extension, documentType);
+    }
+
+    await analysisCache.write(cacheKey, extracted);
+    return { ...extracted, cached: false };
+  },
+
+  /**
+   * ATS compatibility report for an extracted CV file; null (logged) when the
+   * audit itself fails so it never blocks the analysis
+   */
+  auditForATS(fileBuffer, extraction, job) {
+    try {
+      return atsAudit.run({ buffer: fileBuffer, text: extraction.text, source: extraction.source, job });
+    } catch (error) {
+      console.warn(`ATS audit failed: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Extract text content from document using the LLM provider's vision support
+   */
+  async extractTextWithModel(fileBuffer, extension, documentType = 'CV') {
     try {
-      const model = genAI.getGenerativeModel(config.aiConfig);
-      const base64Data = fileBuffer.toString('base64');
-      const extension = fileName.toLowerCase().substring(fileName.lastIndexOf('.'));
       const mimeType = utils.getMimeType(extension);
 
       const prompts = {
@@ -189,27 +513,24 @@ Return only the extracted text content in a clear, structured format.`,
 Return only the extracted text content maintaining the document's flow.`
       };
 
-      const result = await model.generateContent([
+      const extractedText = await llm.generateFromDocument(
         prompts[documentType] || prompts.CV,
-        {
-          inlineData: {
-            data: base64Data,
-            mimeType: mimeType
-          }
-        }
-      ]);
-
-      const extractedText = result.response.text();
+        { data: fileBuffer, mimeType: mimeType },
+        { task: 'documentText' }
+      );
       
-      if (!extractedText || extractedText.trim().length < 50) {
-        throw new Error(`Insufficient text extracted from ${documentType.toLowerCase()}`);
+      if (!extractedText || extractedText.trim().length < MIN_TEXT_LENGTH) {
+        throw new ParseError(`We could not read enough text from this ${documentType.toLowerCase()}`, {
+          code: 'UNREADABLE_DOCUMENT',
+          detail: `${(extractedText || '').trim().length} characters extracted by ${llm.name}`
+        });
       }
 
-      return extractedText;
+      return { text: extractedText, source: `${llm.name}-vision` };
       
     } catch (error) {
       console.error(`${documentType} text extraction error:`, error);
-      throw new Error(`Failed to extract text from ${documentType.toLowerCase()}: ${error.message}`);
+      throw fromAIError(error, `${documentType} text extraction`);
     }
   }
 };
@@ -230,12 +551,26 @@ const dataFetcher = {
       );
 
       if (talentQuery.documents.length === 0) {
-        throw new Error('Talent profile not found');
+        throw new NotFoundError('Talent profile not found', { code: 'TALENT_NOT_FOUND', detail: `talentId ${talentId}` });
       }
 
       return talentQuery.documents[0];
     } catch (error) {
-      throw new Error(`Failed to fetch talent information: ${error.message}`);
+      throw fromAppwriteError(error, 'Talent');
+    }
+  },
+
+  /**
+   * Check the calling user (x-appwrite-user-id) is the talent or owns the
+   * talent document; throws an AuthorizationError otherwise
+   */
+  async authorizeTalent(talentId, callerId) {
+    if (callerId && callerId === talentId) {
+      return;
+    }
+    const talent = callerId ? await this.getTalent(talentId) : null;
+    if (!utils.isTalentOwner(talent, callerId)) {
+      throw new AuthorizationError('Only the talent can access their own analyses');
     }
   },
 
@@ -252,7 +587,7 @@ const dataFetcher = {
 
       return job;
     } catch (error) {
-      throw new Error(`Failed to fetch job information: ${error.message}`);
+      throw fromAppwriteError(error, 'Job');
     }
   },
 
@@ -276,6 +611,58 @@ const dataFetcher = {
       console.warn(`Could not fetch employer information: ${error.message}`);
       return null;
     }
+  },
+
+  /**
+   * Find open jobs by industry and/or seniority level
+   */
+  async findJobs({ industry, seniorityLevel, limit = config.batch.maxJobs } = {}) {
+    const queries = [Query.limit(Math.max(1, Math.min(config.batch.maxJobs, parseInt(limit, 10) || config.batch.maxJobs)))];
+    if (industry) {
+      queries.push(Query.equal('industry', industry));
+    }
+    if (seniorityLevel) {
+      queries.push(Query.equal('seniorityLevel', seniorityLevel));
+    }
+
+    try {
+      const result = await databases.listDocuments(
+        config.databaseId,
+        config.jobsCollectionId,
+        queries
+      );
+      return result.documents;
+    } catch (error) {
+      throw fromAppwriteError(error, 'Jobs');
+    }
+  },
+
+  /**
+   * Download a stored CV file. Resolves to { buffer, fileName }.
+   */
+  async getStoredCV(fileId) {
+    try {
+      const [file, contents] = await Promise.all([
+        storage.getFile(config.cvBucketId, fileId),
+        storage.getFileDownload(config.cvBucketId, fileId)
+      ]);
+      return { buffer: Buffer.from(contents), fileName: file.name };
+    } catch (error) {
+      throw fromAppwriteError(error, 'Stored CV');
+    }
+  },
+
+  /**
+   * Fetch talent and job together, plus the job's employer when available
+   */
+  async getAnalysisContext(talentId, jobId) {
+    const [talent, job] = await Promise.all([
+      this.getTalent(talentId),
+      this.getJob(jobId)
+    ]);
+    const employer = job.employer ? await this.getEmployer(job.employer) : null;
+
+    return { talent, job, employer };
   }
 };
 
@@ -283,12 +670,99 @@ const dataFetcher = {
  * AI Analysis Functions
  */
 const aiAnalyzer = {
+  /**
+   * Run the CV ('cv') or cover letter ('coverLetter') analysis through the
+   * analysis cache. CV analyses are then reconciled with the deterministic skill
+   * matcher and the parsed CV profile's computed experience, then scored locally
+   * (the cache holds the raw model output). With `redact`, the model and
+   * the cache only see the redacted text and name; the analysis is rehydrated.
+   * `fairnessMode` (CV only) also masks protected attributes and instructs the
+   * model to ignore them; `audit` then runs the counterfactual-name audit on
+   * the locally scored masked CV.
+   * Resolves to { analysis, cached, redacted, fairnessAudit, profile } where
+   * redacted counts the replaced values per category (null when nothing was
+   * redacted) and profile is the parsed CV (null for cover letters).
+   */
+  async analyzeWithCache(kind, text, talent, job, employer, { redact = false, fairnessMode = false, audit = false } = {}) {
+    const biasSafe = fairnessMode && kind === 'cv';
+    const redaction = redact || biasSafe
+      ? piiRedactor.redact(text, { fullname: talent.fullname, protectedAttributes: biasSafe })
+      : null;
+    const promptText = redaction ? redaction.text : text;
+    const promptTalent = redaction ? { ...talent, fullname: redaction.fullname } : talent;
+
+    let { analysis, cached } = await this.analyzeCached(kind, promptText, promptTalent, job, employer, { fairnessMode: biasSafe });
+
+    const fairnessAudit = biasSafe && audit
+      ? await this.counterfactualAudit(redaction, talent, job, employer, this.scoreLocally(analysis, promptText, promptTalent, job).analysis.overallMatchScore)
+      : null;
+
+    if (redaction) {
+      analysis = piiRedactor.rehydrate(analysis, redaction.replacements);
+    }
+
+    let profile = null;
+    if (kind === 'cv') {
+      ({ analysis, profile } = this.scoreLocally(analysis, text, talent, job));
+    }
+
+    return { analysis, cached, redacted: redaction ? redaction.counts : null, fairnessAudit, profile };
+  },
+
+  /**
+   * Reconcile a raw CV analysis with the skill matcher and the parsed CV, then
+   * score it locally. Resolves to { analysis, profile }.
+   */
+  scoreLocally(analysis, text, talent, job) {
+    const profile = cvParser.parse(text);
+    let scored = skillMatcher.applyToAnalysis(analysis, { cvText: text, talent, job });
+    scored = cvParser.applyToAnalysis(scored, profile, job);
+    scored = scoring.applyToAnalysis(scored, { job, weighting: utils.scoreWeighting(talent, job) });
+    return { analysis: scored, profile };
+  },
+
+  /**
+   * Raw model analysis of exactly this text and talent, read from or written to the cache
+   */
+  async analyzeCached(kind, text, talent, job, employer, { fairnessMode = false } = {}) {
+    const cacheKey = analysisCache.analysisKey(kind, text, talent, job, employer, { fairnessMode });
+    let analysis = await analysisCache.read(cacheKey);
+    const cached = analysis !== null;
+
+    if (!cached) {
+      analysis = kind === 'coverLetter'
+        ? await this.analyzeCoverLetterForJob(text, talent, job, employer)
+        : await this.analyzeCVForJob(text, talent, job, employer, { fairnessMode });
+      await analysisCache.write(cacheKey, analysis);
+    }
+
+    return { analysis, cached };
+  },
+
+  /**
+   * Re-score a fairness-mode CV under each counterfactual name, through the
+   * same local scoring as the masked baseline, and compare the local scores.
+   * Failed re-scores are reported, not thrown.
+   */
+  async counterfactualAudit(redaction, talent, job, employer, baselineScore) {
+    const results = await utils.mapWithConcurrency(config.fairness.counterfactualNames, config.batch.concurrency, async (name) => {
+      const variant = fairness.counterfactual(redaction, talent, name);
+      try {
+        const { analysis } = await this.analyzeCached('cv', variant.text, variant.talent, job, employer, { fairnessMode: true });
+        return { name, score: this.scoreLocally(analysis, variant.text, variant.talent, job).analysis.overallMatchScore };
+      } catch (auditError) {
+        return { name, error: toAppError(auditError).code };
+      }
+    });
+
+    return fairness.evaluate(baselineScore, results, config.fairness.scoreDifferenceThreshold);
+  },
+
   /**
    * Analyze CV against specific job requirements with career stage consideration
    */
-  async analyzeCVForJob(cvText, talent, job, employer) {
+  async analyzeCVForJob(cvText, talent, job, employer, { fairnessMode = false } = {}) {
     try {
-      const model = genAI.getGenerativeModel(config.aiConfig);
       const careerStageContext = utils.getCareerStageContext(talent.careerStage);
 
       const prompt = `Analyze this CV against the job requirements considering the candidate's career stage context.
@@ -312,7 +786,7 @@ JOB REQUIREMENTS:
 - Key Responsibilities: ${job.responsibilities || 'Not detailed'}
 
 CAREER STAGE PRIORITIES: ${careerStageContext.priorities.join(', ')}
-
+${careerStageContext.promptFragments.cvAnalysis ? `STAGE GUIDANCE: ${careerStageContext.promptFragments.cvAnalysis}\n` : ''}${fairnessMode ? `\n${fairness.promptInstructions}\n` : ''}
 Provide analysis in this JSON format with concise, actionable insights:
 
 {
@@ -362,34 +836,11 @@ Provide analysis in this JSON format with concise, actionable insights:
 
 Keep insights concise and focused on actionable guidance for this ${talent.careerStage || 'current'} stage professional.`;
 
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      
-      const cleanedJson = utils.extractAndCleanJSON(responseText);
-      const analysis = JSON.parse(cleanedJson);
-      
-      // Normalize scores with safe property access
-      if (analysis.overallMatchScore !== undefined) {
-        analysis.overallMatchScore = utils.normalizeScore(analysis.overallMatchScore);
-      }
-      if (analysis.careerStageAlignment?.score !== undefined) {
-        analysis.careerStageAlignment.score = utils.normalizeScore(analysis.careerStageAlignment.score);
-      }
-      if (analysis.skillsAnalysis?.matchPercentage !== undefined) {
-        analysis.skillsAnalysis.matchPercentage = utils.normalizeScore(analysis.skillsAnalysis.matchPercentage);
-      }
-      if (analysis.educationMatch?.degreeAlignment !== undefined) {
-        analysis.educationMatch.degreeAlignment = utils.normalizeScore(analysis.educationMatch.degreeAlignment);
-      }
-      if (analysis.applicationReadiness !== undefined) {
-        analysis.applicationReadiness = utils.normalizeScore(analysis.applicationReadiness);
-      }
-      
-      return analysis;
+      return await llm.generateJSON(prompt, cvAnalysisSchema, { task: 'cvAnalysis' });
       
     } catch (error) {
       console.error('CV analysis error:', error);
-      throw new Error(`Failed to analyze CV: ${error.message}`);
+      throw fromAIError(error, 'CV analysis');
     }
   },
 
@@ -398,7 +849,6 @@ Keep insights concise and focused on actionable guidance for this ${talent.caree
    */
   async analyzeCoverLetterForJob(coverLetterText, talent, job, employer) {
     try {
-      const model = genAI.getGenerativeModel(config.aiConfig);
       const careerStageContext = utils.getCareerStageContext(talent.careerStage);
 
       const prompt = `Analyze this cover letter against job requirements considering the candidate's career stage.
@@ -416,7 +866,7 @@ JOB DETAILS:
 - Required Skills: ${utils.safeArrayJoin(job.skills)}
 
 CAREER STAGE CONTEXT: ${careerStageContext.focus}
-
+${careerStageContext.promptFragments.coverLetter ? `STAGE GUIDANCE: ${careerStageContext.promptFragments.coverLetter}\n` : ''}
 Analyze and provide feedback in this JSON format:
 
 {
@@ -465,97 +915,1572 @@ Analyze and provide feedback in this JSON format:
 
 Provide specific, actionable feedback for this ${talent.careerStage || 'current'} professional.`;
 
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      
-      const cleanedJson = utils.extractAndCleanJSON(responseText);
-      const analysis = JSON.parse(cleanedJson);
-      
-      // Normalize scores with safe property access
-      if (analysis.overallEffectiveness !== undefined) {
-        analysis.overallEffectiveness = utils.normalizeScore(analysis.overallEffectiveness);
-      }
-      if (analysis.careerStageAppropriate?.score !== undefined) {
-        analysis.careerStageAppropriate.score = utils.normalizeScore(analysis.careerStageAppropriate.score);
-      }
-      if (analysis.contentQuality?.jobAlignment !== undefined) {
-        analysis.contentQuality.jobAlignment = utils.normalizeScore(analysis.contentQuality.jobAlignment);
-      }
-      if (analysis.contentQuality?.companyResearch !== undefined) {
-        analysis.contentQuality.companyResearch = utils.normalizeScore(analysis.contentQuality.companyResearch);
-      }
-      if (analysis.communicationEffectiveness) {
-        ['clarity', 'persuasiveness', 'professionalTone'].forEach(key => {
-          if (analysis.communicationEffectiveness[key] !== undefined) {
-            analysis.communicationEffectiveness[key] = utils.normalizeScore(analysis.communicationEffectiveness[key]);
-          }
-        });
-      }
-
-      return analysis;
+      return await llm.generateJSON(prompt, coverLetterAnalysisSchema, { task: 'coverLetterAnalysis' });
       
     } catch (error) {
       console.error('Cover letter analysis error:', error);
-      throw new Error(`Failed to analyze cover letter: ${error.message}`);
+      throw fromAIError(error, 'Cover letter analysis');
     }
-  }
-};
+  },
 
-/**
- * File Upload Helper
- */
-const fileUploader = {
-  async uploadTemporaryFile(fileBuffer, fileName, talentId) {
+  /**
+   * Draft a cover letter from the CV whose claims cite CV line numbers.
+   * `rejectedClaims` (from a previous trace) asks the model to fix or drop them.
+   */
+  async draftCoverLetter(cvText, cvAnalysis, talent, job, employer, rejectedClaims = []) {
     try {
-      const tempFile = await storage.createFile(
-        config.storageId,
-        ID.unique(),
-        fileBuffer,
-        [`read("user:${talentId}")`, `delete("user:${talentId}")`]
-      );
-      return tempFile.$id;
-    } catch (error) {
-      console.warn(`Could not upload temporary file ${fileName}: ${error.message}`);
-      return null;
-    }
-  }
-};
+      const careerStageContext = utils.getCareerStageContext(talent.careerStage);
+      const skills = cvAnalysis.skillsAnalysis;
 
-/**
- * Main Function Handler
- */
-module.exports = async function({ req, res, log, error }) {
-  const startTime = Date.now();
-  let uploadedFileIds = [];
-  
-  try {
-    log('=== Career-Stage Aware Document Analysis Started ===');
-    
-    // Validate environment variables
-    if (!process.env.GEMINI_API_KEY) {
-      error('GEMINI_API_KEY environment variable is required');
-      return res.json({ 
-        success: false, 
-        error: 'Server configuration error', 
-        statusCode: 500 
-      }, 500);
-    }
+      const revision = rejectedClaims.length > 0
+        ? `\nA PREVIOUS DRAFT MADE CLAIMS THE CITED CV LINES DO NOT SUPPORT:
+${rejectedClaims.map(claim => `- "${claim.statement}" (${claim.problems.join('; ')})`).join('\n')}
+Rewrite or remove these claims.\n`
+        : '';
 
-    // Parse request body with improved error handling
-    let requestData;
-    try {
-      if (!req.body) {
+      const prompt = `Write a cover letter for this candidate using ONLY facts stated in their CV.
+
+CV CONTENT (numbered lines):
+${coverLetterDraft.formatNumberedCV(cvText)}
+
+TALENT PROFILE:
+- Name: ${talent.fullname || 'Not provided'}
+- Career Stage: ${talent.careerStage || 'Not specified'} (${careerStageContext.description})
+- Career Focus: ${careerStageContext.focus}
+
+JOB DETAILS:
+- Position: ${job.name || 'Not specified'}
+- Company: ${employer?.name || 'Company name not available'}
+- Seniority Level: ${job.seniorityLevel || 'Not specified'}
+- Required Skills: ${utils.safeArrayJoin(job.skills)}
+- Key Responsibilities: ${job.responsibilities || 'Not detailed'}
+
+SKILLS TO EMPHASIZE:
+- Matching: ${utils.safeArrayJoin(skills.matchingSkills)}
+- Transferable: ${utils.safeArrayJoin(skills.transferableSkills)}
+
+CAREER STAGE PRIORITIES: ${careerStageContext.priorities.join(', ')}
+EXPECTATIONS FOR THIS STAGE: ${careerStageContext.expectations}
+${revision}
+Rules:
+- Every factual claim (employer, title, dates, skills, figures, achievements) must be listed under "claims" with the CV line numbers that state it.
+- Do not invent employers, numbers, dates or skills that are not in the CV.
+- Do not claim the missing skills (${utils.safeArrayJoin(skills.criticalGaps, ', ') || 'none'}); show willingness to learn them instead where appropriate.
+- 3 to 4 paragraphs, tone suited to a ${talent.careerStage || 'current'} stage professional.
+
+Respond in this JSON format:
+
+{
+  "salutation": "Dear Hiring Manager,",
+  "paragraphs": [
+    {
+      "text": "Paragraph text",
+      "claims": [
+        { "statement": "Built React services used by 10,000 customers", "cvLines": [5] }
+      ]
+    }
+  ],
+  "closing": "Closing sentence",
+  "emphasizedSkills": {
+    "matching": ["React"],
+    "transferable": ["Problem Solving"]
+  }
+}`;
+
+      return await llm.generateJSON(prompt, coverLetterDraftSchema, { task: 'coverLetterDraft' });
+
+    } catch (error) {
+      console.error('Cover letter drafting error:', error);
+      throw fromAIError(error, 'Cover letter drafting');
+    }
+  },
+
+  /**
+   * Suggest rewrites of numbered CV bullets targeting the job's responsibilities
+   * and skills. With `redact` each bullet is sent redacted and its suggestions
+   * are rehydrated with that bullet's values.
+   */
+  async suggestCVRewrites(bullets, cvAnalysis, talent, job, employer, { redact = false } = {}) {
+    const redactions = redact
+      ? new Map(bullets.map(bullet => [bullet.id, piiRedactor.redact(bullet.text, { fullname: talent.fullname })]))
+      : null;
+    const promptBullets = redactions ? bullets.map(bullet => ({ ...bullet, text: redactions.get(bullet.id).text })) : bullets;
+
+    let response;
+    try {
+      const careerStageContext = utils.getCareerStageContext(talent.careerStage);
+      const skills = cvAnalysis.skillsAnalysis;
+
+      const prompt = `Suggest rewrites of CV bullets so they speak directly to this job.
+
+CV BULLETS (numbered):
+${cvRewrite.formatBullets(promptBullets)}
+
+JOB DETAILS:
+- Position: ${job.name || 'Not specified'}
+- Company: ${employer?.name || 'Company name not available'}
+- Seniority Level: ${job.seniorityLevel || 'Not specified'}
+- Required Skills: ${utils.safeArrayJoin(job.skills)}
+- Key Responsibilities: ${job.responsibilities || 'Not detailed'}
+
+CANDIDATE:
+- Career Stage: ${talent.careerStage || 'Not specified'} (${careerStageContext.description})
+- Matching Skills: ${utils.safeArrayJoin(skills.matchingSkills)}
+- Transferable Skills: ${utils.safeArrayJoin(skills.transferableSkills)}
+
+Rules:
+- Only rewrite bullets that can be aimed more closely at the responsibilities or skills above; skip the rest.
+- Keep every fact from the original bullet; do not add employers, numbers, dates or skills the bullet does not state.
+- Prefer strong action verbs and the job's own terminology.
+- "targets" lists the job skills or responsibilities the rewrite speaks to.
+
+Respond in this JSON format:
+
+{
+  "suggestions": [
+    {
+      "bulletId": 1,
+      "rewrite": "Rewritten bullet text",
+      "reason": "Why this version fits the job better",
+      "targets": ["React"]
+    }
+  ]
+}`;
+
+      response = await llm.generateJSON(prompt, cvRewriteSchema, { task: 'cvRewrite' });
+
+    } catch (error) {
+      console.error('CV rewrite error:', error);
+      throw fromAIError(error, 'CV rewrite');
+    }
+
+    if (!redactions) return response;
+    return {
+      ...response,
+      suggestions: (response.suggestions || []).map(suggestion => (redactions.has(suggestion.bulletId)
+        ? piiRedactor.rehydrate(suggestion, redactions.get(suggestion.bulletId).replacements)
+        : suggestion))
+    };
+  },
+
+  /**
+   * Suggest the talent's career stage from their parsed CV, with reasoning.
+   * Only work history, education and skills are sent, not contact details.
+   */
+  async suggestCareerStage(profile, talent) {
+    try {
+      const stages = careerStages.names()
+        .map(stage => {
+          const context = utils.getCareerStageContext(stage);
+          return `- ${stage}: ${context.description} (${context.expectations})`;
+        })
+        .join('\n');
+
+      const prompt = `Classify this candidate's career stage from their CV.
+
+CAREER STAGES:
+${stages}
+
+WORK HISTORY:
+${utils.safeArrayJoin(profileAutofill.careerHistory(profile), '\n')}
+
+EDUCATION:
+${utils.safeArrayJoin(profile.education.map(entry => [entry.degree, entry.institution, entry.endDate].filter(Boolean).join(', ')), '\n')}
+
+SKILLS: ${utils.safeArrayJoin(profile.skills)}
+TOTAL YEARS OF WORK EXPERIENCE: ${profile.experienceYears.total !== null ? profile.experienceYears.total : 'Unknown'}
+CURRENT STAGE ON PROFILE: ${talent.careerStage || 'Not specified'}
+
+Rules:
+- "careerStage" must be exactly one of: ${careerStages.names().join(', ')}.
+- Judge from the stage descriptions; a promotion within one field is not a change of direction.
+- "reasoning" explains the choice in one or two sentences; "evidence" quotes the CV facts it relies on.
+- "confidence" is 0-100.
+
+Respond in this JSON format:
+
+{
+  "careerStage": "Trailblazer",
+  "confidence": 80,
+  "reasoning": "Why this stage fits",
+  "evidence": ["Software Engineer at Example Corp (2019 - 2023)"]
+}`;
+
+      return await llm.generateJSON(prompt, careerStageSchema, { task: 'careerStage' });
+
+    } catch (error) {
+      console.error('Career stage suggestion error:', error);
+      throw fromAIError(error, 'Career stage suggestion');
+    }
+  }
+};
+
+/**
+ * Combined CV + Cover Letter Insights
+ */
+const applicationInsights = {
+  /**
+   * Merge both analyses with a cross-document consistency check. The overall
+   * score is the local weighted score over both documents (see scoring.js).
+   */
+  combine({ cv, coverLetter, cvText, coverLetterText, talent, job, employer }) {
+    const careerStageContext = utils.getCareerStageContext(talent.careerStage);
+    const consistency = consistencyChecker.check(cvText, coverLetterText, { job, employer });
+
+    const cvScore = cv.overallMatchScore || 0;
+    const clScore = coverLetter.overallEffectiveness || 0;
+    const weighting = utils.scoreWeighting(talent, job);
+    const scoreBreakdown = { ...scoring.score(scoring.subScores(cv, coverLetter, job), weighting.weights), weighting };
+    const cvCareerScore = cv.careerStageAlignment?.score || 50;
+    const clCareerScore = coverLetter.careerStageAppropriate?.score || 50;
+    const careerScore = Math.round((cvCareerScore + clCareerScore) / 2);
+
+    let recommendation = 'Consider improvements before submission';
+    if (consistency.score < 60) {
+      recommendation = 'Resolve the inconsistencies between your CV and cover letter before submission';
+    } else if (cvScore >= 70 && clScore >= 70) {
+      recommendation = 'Application ready - good fit for career stage';
+    }
+
+    return {
+      overallApplicationScore: scoreBreakdown.score !== null ? scoreBreakdown.score : Math.round((cvScore + clScore) / 2),
+      scoreBreakdown,
+      careerStageReadiness: {
+        score: careerScore,
+        alignment: this.describeAlignment(careerScore, talent.careerStage),
+        recommendation
+      },
+      consistencyCheck: {
+        score: consistency.score,
+        strengthsAlignment: consistency.strengthsAlignment,
+        improvementAreas: consistency.improvementAreas,
+        findings: consistency.findings
+      },
+      strategicAdvice: this.strategicAdvice(cv, consistency.findings, careerStageContext)
+    };
+  },
+
+  describeAlignment(score, careerStage) {
+    const stage = careerStage || 'current';
+    if (score >= 75) return `Strong alignment for ${stage} career stage`;
+    if (score >= 55) return `Moderate alignment for ${stage} career stage`;
+    return `Weak alignment for ${stage} career stage - the role may not suit this stage`;
+  },
+
+  /**
+   * Advice derived from the actual gaps and inconsistencies found
+   */
+  strategicAdvice(cv, findings, careerStageContext) {
+    const advice = [];
+    const gaps = cv.skillsAnalysis?.criticalGaps || [];
+
+    if (gaps.length) {
+      advice.push(`Address the required ${gaps.slice(0, 3).join(', ')} gap${gaps.length > 1 ? 's' : ''}, or show related experience`);
+    }
+    if (findings.skillsOnlyInCoverLetter.length) {
+      advice.push(`Add evidence of ${findings.skillsOnlyInCoverLetter.slice(0, 3).join(', ')} to your CV to back up your cover letter`);
+    }
+    if (findings.jobSkillsNotHighlighted.length) {
+      const skills = findings.jobSkillsNotHighlighted.slice(0, 3);
+      const pronoun = skills.length > 1 ? 'them' : 'it';
+      advice.push(`Mention ${skills.join(', ')} in your cover letter - the job asks for ${pronoun} and your CV shows ${pronoun}`);
+    }
+    if (findings.employerMismatches.length || findings.titleMismatches.length || findings.dateMismatches.length || findings.experienceClaimMismatch) {
+      advice.push('Make employers, job titles and dates match exactly across both documents');
+    }
+    if (findings.unusedAchievements.length) {
+      advice.push(`Bring a quantified achievement from your CV into the cover letter, e.g. "${findings.unusedAchievements[0]}"`);
+    }
+    advice.push(`Focus on ${careerStageContext.focus.toLowerCase()} in your application approach`);
+
+    return advice.slice(0, 5);
+  }
+};
+
+/**
+ * File Upload Helper
+ */
+const fileUploader = {
+  async uploadTemporaryFile(fileBuffer, fileName, talentId) {
+    try {
+      const tempFile = await storage.createFile(
+        config.storageId,
+        ID.unique(),
+        InputFile.fromBuffer(fileBuffer, fileName),
+        [`read("user:${talentId}")`, `delete("user:${talentId}")`]
+      );
+      return tempFile.$id;
+    } catch (error) {
+      console.warn(`Could not upload temporary file ${fileName}: ${error.message}`);
+      return null;
+    }
+  }
+};
+
+/**
+ * Reusable single-document pipeline steps
+ */
+const analysisPipeline = {
+  /**
+   * Extract and analyze an already validated CV upload; `redact` is passed to
+   * analyzeWithCache
+   */
+  async analyzeCVUpload(cvData, cvFileName, { talent, job, employer }, { redact = false } = {}) {
+    const cvBuffer = Buffer.from(cvData, 'base64');
+    const extraction = await documentProcessor.extractText(cvBuffer, cvFileName, 'CV');
+    const { analysis, cached, redacted } = await aiAnalyzer.analyzeWithCache('cv', extraction.text, talent, job, employer, { redact });
+
+    return {
+      analysis,
+      redacted,
+      text: extraction.text,
+      source: extraction.source,
+      hash: utils.hashContent(cvBuffer),
+      cache: { text: extraction.cached, analysis: cached }
+    };
+  }
+};
+
+/**
+ * Analysis History Persistence
+ *
+ * Analyses are stored one document per run. Object fields are serialized to
+ * JSON string attributes; documents are readable and deletable by the talent only.
+ */
+const analysisStore = {
+  /**
+   * Store a completed analysis run
+   */
+  async save({ documentId, talentId, jobId, contentHash, cvHash, coverLetterHash, analysis, careerStageContext, jobContext, analyzedAt }) {
+    const document = await databases.createDocument(
+      config.databaseId,
+      config.analysesCollectionId,
+      documentId || ID.unique(),
+      {
+        talentId,
+        jobId,
+        contentHash,
+        cvHash: cvHash || null,
+        coverLetterHash: coverLetterHash || null,
+        analysis: JSON.stringify(analysis),
+        careerStageContext: JSON.stringify(careerStageContext),
+        jobContext: JSON.stringify(jobContext),
+        analyzedAt
+      },
+      [`read("user:${talentId}")`, `delete("user:${talentId}")`]
+    );
+    return document.$id;
+  },
+
+  /**
+   * Store a CV-only run (no cover letter), as produced by compare and batch modes
+   */
+  async saveCVRun({ talent, job, employer, cvHash, analysis }) {
+    return this.save({
+      talentId: talent.talentId,
+      jobId: job.$id,
+      contentHash: utils.hashContent(`${cvHash}:`),
+      cvHash,
+      coverLetterHash: null,
+      analysis: { cv: analysis, coverLetter: null, combinedInsights: null },
+      careerStageContext: utils.buildCareerStageSummary(talent),
+      jobContext: utils.buildJobContext(job, employer),
+      analyzedAt: new Date().toISOString()
+    });
+  },
+
+  /**
+   * List a talent's past analyses, newest first, optionally for one job
+   */
+  async list(talentId, { jobId, limit = 25, offset = 0 } = {}) {
+    const queries = [
+      Query.equal('talentId', talentId),
+      Query.orderDesc('analyzedAt'),
+      Query.limit(Math.max(1, Math.min(100, parseInt(limit, 10) || 25))),
+      Query.offset(Math.max(0, parseInt(offset, 10) || 0))
+    ];
+    if (jobId) {
+      queries.push(Query.equal('jobId', jobId));
+    }
+
+    let result;
+    try {
+      result = await databases.listDocuments(
+        config.databaseId,
+        config.analysesCollectionId,
+        queries
+      );
+    } catch (error) {
+      throw fromAppwriteError(error, 'Analyses');
+    }
+
+    return {
+      total: result.total,
+      analyses: result.documents.map(document => this.summarize(document))
+    };
+  },
+
+  /**
+   * Fetch one stored analysis, checking it belongs to the talent
+   */
+  async get(analysisId, talentId) {
+    let document;
+    try {
+      document = await databases.getDocument(
+        config.databaseId,
+        config.analysesCollectionId,
+        analysisId
+      );
+    } catch (error) {
+      throw fromAppwriteError(error, 'Analysis');
+    }
+
+    if (document.talentId !== talentId) {
+      throw new NotFoundError('Analysis not found', { code: 'ANALYSIS_NOT_FOUND' });
+    }
+
+    return this.deserialize(document);
+  },
+
+  deserialize(document) {
+    return {
+      analysisId: document.$id,
+      talentId: document.talentId,
+      jobId: document.jobId,
+      contentHash: document.contentHash,
+      cvHash: document.cvHash || null,
+      coverLetterHash: document.coverLetterHash || null,
+      analyzedAt: document.analyzedAt || document.$createdAt,
+      analysis: utils.parseStoredJSON(document.analysis, {}),
+      careerStageContext: utils.parseStoredJSON(document.careerStageContext),
+      jobContext: utils.parseStoredJSON(document.jobContext)
+    };
+  },
+
+  /**
+   * Compact listing entry with headline scores only. applicationReadiness is
+   * the model's own estimate; it is not part of the local score.
+   */
+  summarize(document) {
+    const stored = this.deserialize(document);
+    const { cv, coverLetter, combinedInsights } = stored.analysis;
+
+    return {
+      analysisId: stored.analysisId,
+      jobId: stored.jobId,
+      contentHash: stored.contentHash,
+      analyzedAt: stored.analyzedAt,
+      jobContext: stored.jobContext,
+      scores: {
+        cvMatch: cv ? cv.overallMatchScore : null,
+        applicationReadiness: cv ? cv.applicationReadiness : null,
+        coverLetterEffectiveness: coverLetter ? coverLetter.overallEffectiveness : null,
+        overallApplication: combinedInsights ? combinedInsights.overallApplicationScore : null
+      }
+    };
+  }
+};
+
+/**
+ * Asynchronous Analysis Runs
+ *
+ * A run document tracks one queued analysis: input file ids, the state of each
+ * pipeline step and the outputs of completed steps (JSON string attributes).
+ * The run id becomes the id of the history document once it completes.
+ */
+const analysisRuns = {
+  /**
+   * Pipeline steps for the documents provided, in execution order
+   */
+  stepsFor(documents) {
+    return [
+      ...(documents.cv ? ['extract_cv', 'analyze_cv'] : []),
+      ...(documents.coverLetter ? ['extract_cover_letter', 'analyze_cover_letter'] : []),
+      'combine'
+    ];
+  },
+
+  /**
+   * Store the input files and persist a queued run; resolves to { id, runToken }.
+   * The token lets the execution started by trigger() process the run without
+   * a user session.
+   */
+  async create({ talentId, jobId, cvData, cvFileName, coverLetterData, coverLetterFileName, redactPII = false, fairnessMode = false, fairnessAudit = false }) {
+    const permissions = [`read("user:${talentId}")`, `delete("user:${talentId}")`];
+    const documents = {};
+
+    const uploads = [['cv', cvData, cvFileName], ['coverLetter', coverLetterData, coverLetterFileName]];
+    for (const [kind, data, fileName] of uploads) {
+      if (data && fileName) {
+        const buffer = Buffer.from(data, 'base64');
+        const file = await storage.createFile(config.storageId, ID.unique(), InputFile.fromBuffer(buffer, fileName), permissions);
+        documents[kind] = { fileId: file.$id, fileName, hash: utils.hashContent(buffer) };
+      }
+    }
+
+    const steps = Object.fromEntries(this.stepsFor(documents).map(step => [step, { status: 'pending' }]));
+    const runToken = crypto.randomBytes(24).toString('hex');
+    const run = await databases.createDocument(
+      config.databaseId,
+      config.analysisRunsCollectionId,
+      ID.unique(),
+      {
+        talentId,
+        jobId,
+        status: 'queued',
+        documents: JSON.stringify(documents),
+        steps: JSON.stringify(steps),
+        state: JSON.stringify({ redactPII, fairnessMode, fairnessAudit, runToken }),
+        attempts: 0,
+        error: null,
+        updatedAt: new Date().toISOString()
+      },
+      [`read("user:${talentId}")`]
+    );
+    return { id: run.$id, runToken };
+  },
+
+  /**
+   * Start processing a run in a separate asynchronous execution of this function.
+   * Resolves to false when that is not possible; the run then waits for runAnalysis.
+   */
+  async trigger(runId, talentId, runToken) {
+    const functionId = process.env.APPWRITE_FUNCTION_ID;
+    if (!functionId) {
+      return false;
+    }
+    await functions.createExecution(functionId, JSON.stringify({ action: 'runAnalysis', analysisId: runId, talentId, runToken }), true);
+    return true;
+  },
+
+  async get(runId, talentId) {
+    let document;
+    try {
+      document = await databases.getDocument(config.databaseId, config.analysisRunsCollectionId, runId);
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw fromAppwriteError(error, 'Analysis run');
+    }
+    if (document.talentId !== talentId) return null;
+
+    return {
+      id: document.$id,
+      talentId: document.talentId,
+      jobId: document.jobId,
+      status: document.status,
+      documents: utils.parseStoredJSON(document.documents, {}),
+      steps: utils.parseStoredJSON(document.steps, {}),
+      state: utils.parseStoredJSON(document.state, {}),
+      attempts: document.attempts || 0,
+      error: document.error || null,
+      updatedAt: document.updatedAt
+    };
+  },
+
+  async update(run, changes) {
+    Object.assign(run, changes, { updatedAt: new Date().toISOString() });
+    await databases.updateDocument(config.databaseId, config.analysisRunsCollectionId, run.id, {
+      status: run.status,
+      steps: JSON.stringify(run.steps),
+      state: JSON.stringify(run.state),
+      attempts: run.attempts,
+      error: run.error,
+      updatedAt: run.updatedAt
+    });
+  },
+
+  /**
+   * Whether `token` is the run's own token (see create)
+   */
+  hasRunToken(run, token) {
+    const expected = Buffer.from(String(run.state.runToken || ''));
+    const given = Buffer.from(String(token || ''));
+    return expected.length > 0 && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  },
+
+  /**
+   * Whether another execution is probably still working on the run
+   */
+  isActive(run) {
+    return run.status === 'running' &&
+      Date.now() - new Date(run.updatedAt).getTime() < config.asyncRuns.staleAfterSeconds * 1000;
+  },
+
+  /**
+   * Execute the run's pending steps, persisting after each one. Completed steps
+   * are skipped, so calling this again after a failure resumes where it stopped.
+   */
+  async process(run, log) {
+    await this.update(run, { status: 'running', attempts: run.attempts + 1, error: null });
+
+    const { talent, job, employer } = await dataFetcher.getAnalysisContext(run.talentId, run.jobId);
+
+    for (const [step, stepState] of Object.entries(run.steps)) {
+      if (stepState.status === 'completed') {
+        continue;
+      }
+
+      log(`Run ${run.id}: ${step}`);
+      try {
+        Object.assign(run.state, await this.executeStep(step, run, { talent, job, employer }));
+        run.steps[step] = { status: 'completed', completedAt: new Date().toISOString() };
+        await this.update(run, {});
+      } catch (stepError) {
+        const failure = toAppError(stepError);
+        log(`Run ${run.id}: ${step} failed: ${failure.toLog()}`);
+        run.steps[step] = {
+          status: 'failed',
+          failedAt: new Date().toISOString(),
+          error: failure.message,
+          code: failure.code,
+          retryable: failure.retryable
+        };
+        await this.update(run, { status: 'failed', error: `${step}: ${failure.message}` });
+        return run;
+      }
+    }
+
+    await this.finish(run, { talent, job, employer }, log);
+    return run;
+  },
+
+  /**
+   * Run one step; resolves to the state fields it produces
+   */
+  async executeStep(step, run, { talent, job, employer }) {
+    const extract = async (kind, documentType) => {
+      const { fileId, fileName } = run.documents[kind];
+      const contents = await storage.getFileDownload(config.storageId, fileId)
+        .catch(error => { throw fromAppwriteError(error, 'Run input'); });
+      const buffer = Buffer.from(contents);
+      const { text, source } = await documentProcessor.extractText(buffer, fileName, documentType);
+      return { buffer, text, source };
+    };
+
+    switch (step) {
+      case 'extract_cv': {
+        const { buffer, text, source } = await extract('cv', 'CV');
+        return { cvText: text, cvSource: source, atsReport: documentProcessor.auditForATS(buffer, { text, source }, job) };
+      }
+      case 'analyze_cv': {
+        const { analysis, redacted, profile, fairnessAudit } = await aiAnalyzer.analyzeWithCache('cv', run.state.cvText, talent, job, employer, {
+          redact: !!run.state.redactPII,
+          fairnessMode: !!run.state.fairnessMode,
+          audit: !!run.state.fairnessAudit
+        });
+        return { cvAnalysis: analysis, cvRedacted: redacted, cvProfile: profile, cvFairnessAudit: fairnessAudit };
+      }
+      case 'extract_cover_letter': {
+        const { text, source } = await extract('coverLetter', 'Cover Letter');
+        return { coverLetterText: text, coverLetterSource: source };
+      }
+      case 'analyze_cover_letter': {
+        const { analysis, redacted } = await aiAnalyzer.analyzeWithCache('coverLetter', run.state.coverLetterText, talent, job, employer, {
+          redact: !!run.state.redactPII
+        });
+        return { coverLetterAnalysis: analysis, coverLetterRedacted: redacted };
+      }
+      case 'combine': {
+        const { cvAnalysis = null, coverLetterAnalysis = null } = run.state;
+        const combinedInsights = cvAnalysis && coverLetterAnalysis
+          ? applicationInsights.combine({
+            cv: cvAnalysis,
+            coverLetter: coverLetterAnalysis,
+            cvText: run.state.cvText,
+            coverLetterText: run.state.coverLetterText,
+            talent,
+            job,
+            employer
+          })
+          : null;
+        return { combinedInsights };
+      }
+      default:
+        throw new Error(`Unknown step: ${step}`);
+    }
+  },
+
+  /**
+   * Save the result to the talent's history under the run id, drop the
+   * intermediate state and input files, and mark the run completed
+   */
+  async finish(run, { talent, job, employer }, log) {
+    const cvHash = run.documents.cv?.hash || null;
+    const coverLetterHash = run.documents.coverLetter?.hash || null;
+
+    try {
+      await analysisStore.save({
+        documentId: run.id,
+        talentId: run.talentId,
+        jobId: run.jobId,
+        contentHash: utils.hashContent(`${cvHash || ''}:${coverLetterHash || ''}`),
+        cvHash,
+        coverLetterHash,
+        analysis: {
+          cv: run.state.cvAnalysis || null,
+          coverLetter: run.state.coverLetterAnalysis || null,
+          combinedInsights: run.state.combinedInsights || null
+        },
+        careerStageContext: utils.buildCareerStageSummary(talent),
+        jobContext: utils.buildJobContext(job, employer),
+        analyzedAt: new Date().toISOString()
+      });
+    } catch (storeError) {
+      // A previous attempt may have stored it before failing to mark the run completed
+      if (storeError.code !== 409) throw storeError;
+    }
+
+    await Promise.allSettled(Object.values(run.documents).map(document =>
+      storage.deleteFile(config.storageId, document.fileId)
+        .catch(deleteError => log(`Failed to delete run input ${document.fileId}: ${deleteError.message}`))
+    ));
+
+    // Only the redaction and fairness records, the ATS report and the parsed CV outlive the run
+    await this.update(run, {
+      status: 'completed',
+      state: {
+        redaction: piiRedactor.summarize(!!run.state.redactPII || !!run.state.fairnessMode, [run.state.cvRedacted, run.state.coverLetterRedacted]),
+        fairness: { enabled: !!run.state.fairnessMode, audit: run.state.cvFairnessAudit || null },
+        atsReport: run.state.atsReport || null,
+        cvProfile: run.state.cvProfile || null,
+        profileSync: run.state.cvProfile ? cvParser.profileGaps(run.state.cvProfile, talent) : null
+      }
+    });
+  }
+};
+
+/**
+ * Request Actions other than the default document analysis
+ */
+const requestActions = {
+  /**
+   * List a talent's stored analyses (optionally filtered by jobId). Only the
+   * talent (x-appwrite-user-id) may list them.
+   */
+  async listAnalyses(requestData, { req, res, log }) {
+    const { talentId, jobId, limit, offset } = requestData;
+
+    if (!talentId) {
+      return utils.sendError(res, new ValidationError('Missing required parameter: talentId', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    try {
+      await dataFetcher.authorizeTalent(talentId, req.headers?.['x-appwrite-user-id']);
+    } catch (authError) {
+      return utils.sendError(res, authError, log);
+    }
+
+    const history = await analysisStore.list(talentId, { jobId, limit, offset });
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      total: history.total,
+      analyses: history.analyses
+    });
+  },
+
+  /**
+   * Fetch a single stored analysis by id; only for the talent (x-appwrite-user-id)
+   */
+  async getAnalysis(requestData, { req, res, log }) {
+    const { talentId, analysisId } = requestData;
+
+    if (!talentId || !analysisId) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: talentId and analysisId are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    try {
+      await dataFetcher.authorizeTalent(talentId, req.headers?.['x-appwrite-user-id']);
+      const stored = await analysisStore.get(analysisId, talentId);
+      return res.json({
+        success: true,
+        statusCode: 200,
+        ...stored
+      });
+    } catch (fetchError) {
+      return utils.sendError(res, fetchError, log);
+    }
+  },
+
+  /**
+   * Compare two versions of a CV against the same job. Each side is either a
+   * stored analysis ({ analysisId }) or a fresh upload ({ cvData, cvFileName }).
+   * Stored analyses must belong to the calling talent (x-appwrite-user-id).
+   */
+  async compareCVs(requestData, { req, res, log }) {
+    const { talentId, jobId, baseline, revision } = requestData;
+    const redactPII = utils.shouldRedact(requestData);
+
+    if (!talentId || !jobId || !baseline || !revision) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: talentId, jobId, baseline and revision are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    try {
+      for (const side of [baseline, revision]) {
+        if (side.analysisId) continue;
+        if (!side.cvData || !side.cvFileName) {
+          throw new ValidationError('Each version needs either an analysisId or cvData and cvFileName', { code: 'MISSING_DOCUMENT' });
+        }
+        utils.validateFile(side.cvFileName, side.cvData);
+      }
+    } catch (validationError) {
+      return utils.sendError(res, validationError, log);
+    }
+
+    if (baseline.analysisId || revision.analysisId) {
+      try {
+        await dataFetcher.authorizeTalent(talentId, req.headers?.['x-appwrite-user-id']);
+      } catch (authError) {
+        return utils.sendError(res, authError, log);
+      }
+    }
+
+    let context = null;
+    if (!baseline.analysisId || !revision.analysisId) {
+      try {
+        context = await dataFetcher.getAnalysisContext(talentId, jobId);
+      } catch (fetchError) {
+        return utils.sendError(res, fetchError, log);
+      }
+    }
+
+    const versions = [];
+    for (const [label, side] of [['baseline', baseline], ['revision', revision]]) {
+      if (side.analysisId) {
+        let stored;
+        try {
+          stored = await analysisStore.get(side.analysisId, talentId);
+        } catch (fetchError) {
+          const failure = fetchError instanceof NotFoundError
+            ? new NotFoundError(`${label} analysis not found`, { code: 'ANALYSIS_NOT_FOUND' })
+            : fetchError;
+          return utils.sendError(res, failure, log);
+        }
+        if (stored.jobId !== jobId || !stored.analysis.cv) {
+          return utils.sendError(res, new ValidationError(`${label} analysis is not a CV analysis for job ${jobId}`, {
+            code: 'ANALYSIS_MISMATCH'
+          }), log);
+        }
+        versions.push({ analysisId: stored.analysisId, origin: 'stored', analyzedAt: stored.analyzedAt, analysis: stored.analysis.cv });
+        continue;
+      }
+
+      log(`Analyzing ${label} CV: ${side.cvFileName}`);
+      const result = await analysisPipeline.analyzeCVUpload(side.cvData, side.cvFileName, context, { redact: redactPII });
+      const analyzedAt = new Date().toISOString();
+      let analysisId = null;
+      try {
+        analysisId = await analysisStore.saveCVRun({ ...context, cvHash: result.hash, analysis: result.analysis });
+      } catch (storeError) {
+        log(`Could not store ${label} analysis: ${storeError.message}`);
+      }
+      versions.push({ analysisId, origin: 'upload', analyzedAt, cache: result.cache, analysis: result.analysis });
+    }
+
+    const [before, after] = versions;
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      jobId,
+      baseline: before,
+      revision: after,
+      comparison: revisionComparer.compare(before.analysis, after.analysis)
+    });
+  },
+
+  /**
+   * Employer view: analyze each applicant's stored CV against the employer's job
+   * and return a shortlist sorted by match. `applicants` is a list of
+   * { talentId }; each is analyzed from the talent's cvFileId attribute only.
+   * The calling user (x-appwrite-user-id) must own the job's employer.
+   * Scoring is bias-safe unless fairnessMode is set to false; the
+   * counterfactual-name audit re-scores every applicant several times, so it
+   * only runs when fairnessAudit is set to true.
+   */
+  async rankCandidates(requestData, { req, res, log }) {
+    const { jobId, applicants } = requestData;
+    const callerId = req.headers?.['x-appwrite-user-id'];
+    const fairnessMode = requestData.fairnessMode !== false;
+    const fairnessAudit = fairnessMode && requestData.fairnessAudit === true;
+    const redactPII = utils.shouldRedact(requestData);
+
+    if (!jobId || !Array.isArray(applicants) || applicants.length === 0) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: jobId and a non-empty applicants list are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    if (applicants.length > config.batch.maxCandidates) {
+      return utils.sendError(res, new ValidationError(`At most ${config.batch.maxCandidates} applicants can be ranked per request`, {
+        code: 'TOO_MANY_APPLICANTS'
+      }), log);
+    }
+
+    let job;
+    try {
+      job = await dataFetcher.getJob(jobId);
+    } catch (fetchError) {
+      return utils.sendError(res, fetchError, log);
+    }
+
+    const employer = job.employer ? await dataFetcher.getEmployer(job.employer) : null;
+    if (!utils.isEmployerOwner(employer, callerId)) {
+      return utils.sendError(res, new AuthorizationError('Only the employer that posted this job can rank its candidates'), log);
+    }
+
+    const failed = [];
+    const outcomes = await utils.mapWithConcurrency(applicants, config.batch.concurrency, async (applicant) => {
+      const talentId = applicant && applicant.talentId;
+      try {
+        if (!talentId) {
+          throw new ValidationError('Applicant entry is missing talentId', { code: 'MISSING_PARAMETERS' });
+        }
+        const talent = await dataFetcher.getTalent(talentId);
+        const cvFileId = talent.cvFileId;
+        if (applicant.cvFileId && applicant.cvFileId !== cvFileId) {
+          throw new AuthorizationError('cvFileId is not this applicant\'s stored CV', { code: 'CV_NOT_OWNED' });
+        }
+        if (!cvFileId) {
+          throw new NotFoundError('No stored CV for this applicant', { code: 'STORED_CV_NOT_FOUND' });
+        }
+
+        const { buffer, fileName } = await dataFetcher.getStoredCV(cvFileId);
+        const extraction = await documentProcessor.extractText(buffer, fileName, 'CV');
+        const { analysis, cached, fairnessAudit: audit } = await aiAnalyzer.analyzeWithCache('cv', extraction.text, talent, job, employer, {
+          redact: redactPII,
+          fairnessMode,
+          audit: fairnessAudit
+        });
+        log(`Analyzed applicant ${talentId}${cached ? ' (cached)' : ''}`);
+        if (audit && audit.flagged) {
+          log(`Applicant ${talentId}: score moved ${audit.maxDifference} points under counterfactual names`);
+        }
+
+        return { talent, analysis, audit };
+      } catch (applicantError) {
+        const failure = toAppError(applicantError);
+        log(`Applicant ${talentId || '(missing id)'} failed: ${failure.toLog()}`);
+        failed.push({ talentId: talentId || null, error: failure.message, code: failure.code });
+        return null;
+      }
+    });
+
+    const shortlist = outcomes
+      .filter(Boolean)
+      .sort((a, b) => (b.analysis.overallMatchScore - a.analysis.overallMatchScore) ||
+        (b.analysis.skillsAnalysis.matchPercentage - a.analysis.skillsAnalysis.matchPercentage))
+      .map(({ talent, analysis, audit }, index) => ({
+        rank: index + 1,
+        talentId: talent.talentId,
+        fullname: talent.fullname || null,
+        careerStage: talent.careerStage || null,
+        overallMatchScore: analysis.overallMatchScore,
+        skillsMatch: analysis.skillsAnalysis.matchPercentage,
+        matchingSkills: analysis.skillsAnalysis.matchingSkills,
+        criticalGaps: analysis.skillsAnalysis.criticalGaps,
+        seniorityFit: {
+          jobLevel: job.seniorityLevel || 'Not specified',
+          levelMatch: analysis.experienceAlignment.levelMatch,
+          relevantExperience: analysis.experienceAlignment.relevantExperience,
+          careerStageAppropriate: analysis.careerStageAlignment.isAppropriateLevel
+        },
+        topStrengths: analysis.topStrengths,
+        fairnessAudit: audit
+      }));
+
+    return res.json({
+      success: shortlist.length > 0,
+      statusCode: shortlist.length > 0 ? 200 : 500,
+      jobContext: utils.buildJobContext(job, employer),
+      fairness: {
+        enabled: fairnessMode,
+        audited: fairnessAudit,
+        threshold: fairnessAudit ? config.fairness.scoreDifferenceThreshold : null,
+        flaggedCandidates: shortlist.filter(entry => entry.fairnessAudit && entry.fairnessAudit.flagged).map(entry => entry.talentId)
+      },
+      shortlist,
+      failed
+    }, shortlist.length > 0 ? 200 : 500);
+  },
+
+  /**
+   * Draft a cover letter for a job from an uploaded CV, trace each claim back to
+   * the CV lines it cites (one revision pass for unsupported claims), then score
+   * the draft with the cover letter analyzer.
+   */
+  async generateCoverLetter(requestData, { res, log }) {
+    const { talentId, jobId, cvData, cvFileName } = requestData;
+    const redactPII = utils.shouldRedact(requestData);
+
+    if (!talentId || !jobId || !cvData || !cvFileName) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: talentId, jobId, cvData and cvFileName are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    try {
+      utils.validateFile(cvFileName, cvData);
+    } catch (validationError) {
+      return utils.sendError(res, validationError, log);
+    }
+
+    let context;
+    try {
+      context = await dataFetcher.getAnalysisContext(talentId, jobId);
+    } catch (fetchError) {
+      return utils.sendError(res, fetchError, log);
+    }
+    const { talent, job, employer } = context;
+
+    const cvRun = await analysisPipeline.analyzeCVUpload(cvData, cvFileName, context, { redact: redactPII });
+    log(`CV analyzed (${cvRun.cache.analysis ? 'cache' : 'fresh'}), drafting cover letter`);
+
+    // With redaction the draft is written and traced against the redacted CV, then rehydrated
+    const redaction = redactPII ? piiRedactor.redact(cvRun.text, { fullname: talent.fullname }) : null;
+    const draftText = redaction ? redaction.text : cvRun.text;
+    const draftTalent = redaction ? { ...talent, fullname: redaction.fullname } : talent;
+
+    let draft = await aiAnalyzer.draftCoverLetter(draftText, cvRun.analysis, draftTalent, job, employer);
+    let traceability = coverLetterDraft.trace(draft, draftText);
+    let revised = false;
+
+    if (traceability.unsupportedCount > 0) {
+      log(`Draft has ${traceability.unsupportedCount} unsupported claims, requesting a revision`);
+      const rejected = traceability.claims.filter(claim => claim.status === 'unsupported');
+      const revision = await aiAnalyzer.draftCoverLetter(draftText, cvRun.analysis, draftTalent, job, employer, rejected);
+      const revisionTrace = coverLetterDraft.trace(revision, draftText);
+      if (revisionTrace.unsupportedCount <= traceability.unsupportedCount) {
+        draft = revision;
+        traceability = revisionTrace;
+        revised = true;
+      }
+    }
+
+    if (redaction) {
+      draft = piiRedactor.rehydrate(draft, redaction.replacements);
+      traceability = piiRedactor.rehydrate(traceability, redaction.replacements);
+    }
+
+    const text = coverLetterDraft.toText(draft, talent.fullname);
+    const { analysis, redacted } = await aiAnalyzer.analyzeWithCache('coverLetter', text, talent, job, employer, { redact: redactPII });
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      draft: {
+        text,
+        salutation: draft.salutation,
+        paragraphs: draft.paragraphs.map(paragraph => paragraph.text),
+        closing: draft.closing,
+        emphasizedSkills: draft.emphasizedSkills,
+        revised
+      },
+      traceability,
+      analysis,
+      redaction: piiRedactor.summarize(redactPII, [cvRun.redacted, redacted]),
+      cvSummary: {
+        overallMatchScore: cvRun.analysis.overallMatchScore,
+        matchingSkills: cvRun.analysis.skillsAnalysis.matchingSkills,
+        transferableSkills: cvRun.analysis.skillsAnalysis.transferableSkills,
+        criticalGaps: cvRun.analysis.skillsAnalysis.criticalGaps
+      },
+      careerStageContext: utils.buildCareerStageSummary(talent),
+      jobContext: utils.buildJobContext(job, employer)
+    });
+  },
+
+  /**
+   * Line-level rewrite suggestions for an uploaded CV. Each suggestion is anchored
+   * to a character range of the returned cvText so the client can render an
+   * inline diff and apply accepted rewrites.
+   */
+  async suggestCVRewrites(requestData, { res, log }) {
+    const { talentId, jobId, cvData, cvFileName } = requestData;
+    const redactPII = utils.shouldRedact(requestData);
+
+    if (!talentId || !jobId || !cvData || !cvFileName) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: talentId, jobId, cvData and cvFileName are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    try {
+      utils.validateFile(cvFileName, cvData);
+    } catch (validationError) {
+      return utils.sendError(res, validationError, log);
+    }
+
+    let context;
+    try {
+      context = await dataFetcher.getAnalysisContext(talentId, jobId);
+    } catch (fetchError) {
+      return utils.sendError(res, fetchError, log);
+    }
+    const { talent, job, employer } = context;
+
+    const cvRun = await analysisPipeline.analyzeCVUpload(cvData, cvFileName, context, { redact: redactPII });
+    const bullets = cvRewrite.extractBullets(cvRun.text);
+    log(`Found ${bullets.length} CV bullets to tailor`);
+
+    let suggestions = [];
+    if (bullets.length > 0) {
+      const response = await aiAnalyzer.suggestCVRewrites(bullets, cvRun.analysis, talent, job, employer, { redact: redactPII });
+      suggestions = cvRewrite.anchor(response.suggestions, bullets, cvRun.text);
+    }
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      cvText: cvRun.text,
+      extractionSource: cvRun.source,
+      bulletsFound: bullets.length,
+      suggestions,
+      redaction: piiRedactor.summarize(redactPII, [cvRun.redacted]),
+      jobContext: utils.buildJobContext(job, employer)
+    });
+  },
+
+  /**
+   * Process (or resume) a queued asynchronous analysis run. Normally invoked by
+   * the function itself with the run's token; the talent (x-appwrite-user-id)
+   * may call it to retry a failed run.
+   */
+  async runAnalysis(requestData, { req, res, log }) {
+    const { analysisId, talentId, runToken } = requestData;
+
+    if (!analysisId || !talentId) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: analysisId and talentId are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    if (!runToken) {
+      try {
+        await dataFetcher.authorizeTalent(talentId, req.headers?.['x-appwrite-user-id']);
+      } catch (authError) {
+        return utils.sendError(res, authError, log);
+      }
+    }
+
+    const run = await analysisRuns.get(analysisId, talentId);
+    if (!run) {
+      return utils.sendError(res, new NotFoundError('Analysis run not found', { code: 'ANALYSIS_RUN_NOT_FOUND' }), log);
+    }
+    if (runToken && !analysisRuns.hasRunToken(run, runToken)) {
+      return utils.sendError(res, new AuthorizationError('Invalid run token'), log);
+    }
+
+    if (run.status === 'completed' || analysisRuns.isActive(run)) {
+      return res.json({
+        success: run.status === 'completed',
+        error: run.status === 'completed' ? undefined : 'Analysis run is already in progress',
+        statusCode: run.status === 'completed' ? 200 : 409,
+        analysisId,
+        status: run.status,
+        steps: run.steps
+      }, run.status === 'completed' ? 200 : 409);
+    }
+
+    try {
+      await analysisRuns.process(run, log);
+    } catch (runError) {
+      // Failures outside a step (e.g. fetching context) leave the run retryable
+      const failure = toAppError(runError);
+      log(`Run ${analysisId} failed: ${failure.toLog()}`);
+      await analysisRuns.update(run, { status: 'failed', error: failure.message })
+        .catch(updateError => log(`Could not mark run failed: ${updateError.message}`));
+    }
+
+    const succeeded = run.status === 'completed';
+    return res.json({
+      success: succeeded,
+      statusCode: succeeded ? 200 : 500,
+      analysisId,
+      status: run.status,
+      steps: run.steps,
+      error: run.error || undefined
+    }, succeeded ? 200 : 500);
+  },
+
+  /**
+   * Status of an asynchronous analysis run; includes the result once completed.
+   * Only for the talent (x-appwrite-user-id).
+   */
+  async getAnalysisStatus(requestData, { req, res, log }) {
+    const { analysisId, talentId } = requestData;
+
+    if (!analysisId || !talentId) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: analysisId and talentId are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    try {
+      await dataFetcher.authorizeTalent(talentId, req.headers?.['x-appwrite-user-id']);
+    } catch (authError) {
+      return utils.sendError(res, authError, log);
+    }
+
+    const run = await analysisRuns.get(analysisId, talentId);
+    if (!run) {
+      return utils.sendError(res, new NotFoundError('Analysis run not found', { code: 'ANALYSIS_RUN_NOT_FOUND' }), log);
+    }
+
+    const stepNames = Object.keys(run.steps);
+    const completedSteps = stepNames.filter(step => run.steps[step].status === 'completed');
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      analysisId,
+      status: run.status,
+      progress: {
+        completedSteps: completedSteps.length,
+        totalSteps: stepNames.length,
+        currentStep: run.status === 'completed' ? null : stepNames.find(step => run.steps[step].status !== 'completed') || null
+      },
+      steps: run.steps,
+      attempts: run.attempts,
+      error: run.error,
+      updatedAt: run.updatedAt,
+      redaction: run.status === 'completed' ? run.state.redaction || null : null,
+      fairness: run.status === 'completed' ? run.state.fairness || null : null,
+      atsReport: run.status === 'completed' ? run.state.atsReport || null : null,
+      cvProfile: run.status === 'completed' ? run.state.cvProfile || null : null,
+      profileSync: run.status === 'completed' ? run.state.profileSync || null : null,
+      result: run.status === 'completed' ? await analysisStore.get(analysisId, talentId) : null
+    });
+  },
+
+  /**
+   * Poll the progress of a run started with a client-chosen progressId; only
+   * for the talent (x-appwrite-user-id)
+   */
+  async getProgress(requestData, { req, res, log }) {
+    const { progressId, talentId } = requestData;
+
+    if (!progressId || !talentId) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: progressId and talentId are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    try {
+      await dataFetcher.authorizeTalent(talentId, req.headers?.['x-appwrite-user-id']);
+    } catch (authError) {
+      return utils.sendError(res, authError, log);
+    }
+
+    const progress = isValidProgressId(progressId) ? await progressStore.get(progressId, talentId) : null;
+    if (!progress) {
+      return utils.sendError(res, new NotFoundError('Progress not found', { code: 'PROGRESS_NOT_FOUND' }), log);
+    }
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      progress
+    });
+  },
+
+  /**
+   * Analyze one CV against several jobs and rank them by fit. Jobs come from
+   * `jobIds` or from `jobQuery` ({ industry, seniorityLevel, limit }).
+   */
+  async rankJobs(requestData, { res, log }) {
+    const { talentId, cvData, cvFileName, jobIds, jobQuery } = requestData;
+    const redactPII = utils.shouldRedact(requestData);
+
+    if (!talentId || !cvData || !cvFileName || (!Array.isArray(jobIds) && !jobQuery)) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: talentId, cvData, cvFileName and either jobIds or jobQuery are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    const uniqueJobIds = Array.isArray(jobIds) ? [...new Set(jobIds.filter(Boolean))] : null;
+    if (uniqueJobIds && (uniqueJobIds.length === 0 || uniqueJobIds.length > config.batch.maxJobs)) {
+      return utils.sendError(res, new ValidationError(`jobIds must contain between 1 and ${config.batch.maxJobs} job ids`, {
+        code: 'INVALID_JOB_IDS'
+      }), log);
+    }
+
+    try {
+      utils.validateFile(cvFileName, cvData);
+    } catch (validationError) {
+      return utils.sendError(res, validationError, log);
+    }
+
+    let talent;
+    let jobs;
+    const failed = [];
+    try {
+      talent = await dataFetcher.getTalent(talentId);
+      if (uniqueJobIds) {
+        const fetched = await Promise.allSettled(uniqueJobIds.map(jobId => dataFetcher.getJob(jobId)));
+        jobs = [];
+        fetched.forEach((outcome, index) => {
+          if (outcome.status === 'fulfilled') {
+            jobs.push(outcome.value);
+          } else {
+            const failure = toAppError(outcome.reason);
+            failed.push({ jobId: uniqueJobIds[index], error: failure.message, code: failure.code });
+          }
+        });
+      } else {
+        jobs = await dataFetcher.findJobs(jobQuery);
+      }
+    } catch (fetchError) {
+      return utils.sendError(res, fetchError, log);
+    }
+
+    if (jobs.length === 0) {
+      return res.json({
+        success: false,
+        error: 'No matching jobs found',
+        code: 'JOBS_NOT_FOUND',
+        failed,
+        statusCode: 404
+      }, 404);
+    }
+
+    // Extract once, then analyze against every job
+    const cvBuffer = Buffer.from(cvData, 'base64');
+    const cvHash = utils.hashContent(cvBuffer);
+    const extraction = await documentProcessor.extractText(cvBuffer, cvFileName, 'CV');
+    log(`CV text extracted (${extraction.cached ? 'cache' : extraction.source}) for ${jobs.length} jobs`);
+
+    const employers = new Map();
+    const employerFor = (employerId) => {
+      if (!employers.has(employerId)) {
+        employers.set(employerId, dataFetcher.getEmployer(employerId));
+      }
+      return employers.get(employerId);
+    };
+
+    const outcomes = await utils.mapWithConcurrency(jobs, config.batch.concurrency, async (job) => {
+      try {
+        const employer = job.employer ? await employerFor(job.employer) : null;
+        const { analysis, cached } = await aiAnalyzer.analyzeWithCache('cv', extraction.text, talent, job, employer, { redact: redactPII });
+        log(`Analyzed job ${job.$id}${cached ? ' (cached)' : ''}`);
+
+        let analysisId = null;
+        try {
+          analysisId = await analysisStore.saveCVRun({ talent, job, employer, cvHash, analysis });
+        } catch (storeError) {
+          log(`Could not store analysis for job ${job.$id}: ${storeError.message}`);
+        }
+
+        return { job, employer, analysis, analysisId, cached };
+      } catch (analysisError) {
+        const failure = toAppError(analysisError);
+        log(`Job ${job.$id} failed: ${failure.toLog()}`);
+        failed.push({ jobId: job.$id, error: failure.message, code: failure.code });
+        return null;
+      }
+    });
+
+    const ranked = outcomes
+      .filter(Boolean)
+      .sort((a, b) => (b.analysis.overallMatchScore - a.analysis.overallMatchScore) ||
+        (b.analysis.skillsAnalysis.matchPercentage - a.analysis.skillsAnalysis.matchPercentage))
+      .map((outcome, index) => ({
+        rank: index + 1,
+        jobId: outcome.job.$id,
+        analysisId: outcome.analysisId,
+        jobContext: utils.buildJobContext(outcome.job, outcome.employer),
+        scores: {
+          overallMatch: outcome.analysis.overallMatchScore,
+          skillsMatch: outcome.analysis.skillsAnalysis.matchPercentage,
+          careerStageAlignment: outcome.analysis.careerStageAlignment.score
+        },
+        matchingSkills: outcome.analysis.skillsAnalysis.matchingSkills,
+        topGaps: outcome.analysis.skillsAnalysis.criticalGaps.slice(0, 3),
+        recommendation: outcome.analysis.careerStageGuidance.recommendation,
+        cached: outcome.cached
+      }));
+
+    return res.json({
+      success: ranked.length > 0,
+      statusCode: ranked.length > 0 ? 200 : 500,
+      careerStageContext: utils.buildCareerStageSummary(talent),
+      extractionSource: extraction.source,
+      ranked,
+      failed
+    }, ranked.length > 0 ? 200 : 500);
+  },
+
+  /**
+   * Propose talent profile updates (skills, degrees, careerHistory and a
+   * suggested careerStage with reasoning) from an uploaded CV, or from the
+   * talent's stored CV when no cvData is sent. Nothing is written; the client
+   * confirms accepted fields with applyProfileUpdate. Only the talent
+   * (x-appwrite-user-id) may ask.
+   */
+  async suggestProfileUpdate(requestData, { req, res, log }) {
+    const { talentId, cvData, cvFileName } = requestData;
+
+    if (!talentId || (cvData && !cvFileName)) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: talentId is required, and cvFileName with cvData', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    if (cvData) {
+      try {
+        utils.validateFile(cvFileName, cvData);
+      } catch (validationError) {
+        return utils.sendError(res, validationError, log);
+      }
+    }
+
+    let talent;
+    try {
+      await dataFetcher.authorizeTalent(talentId, req.headers?.['x-appwrite-user-id']);
+      talent = await dataFetcher.getTalent(talentId);
+    } catch (fetchError) {
+      return utils.sendError(res, fetchError, log);
+    }
+
+    let document;
+    if (cvData) {
+      document = { buffer: Buffer.from(cvData, 'base64'), fileName: cvFileName };
+    } else if (talent.cvFileId) {
+      document = await dataFetcher.getStoredCV(talent.cvFileId);
+    } else {
+      return utils.sendError(res, new NotFoundError('No CV uploaded and no stored CV on the talent profile', {
+        code: 'STORED_CV_NOT_FOUND'
+      }), log);
+    }
+
+    const extraction = await documentProcessor.extractText(document.buffer, document.fileName, 'CV');
+    const profile = cvParser.parse(extraction.text);
+    const stageSuggestion = await aiAnalyzer.suggestCareerStage(profile, talent);
+    const proposal = profileAutofill.propose(profile, talent, stageSuggestion, careerStages.names());
+    log(`Profile proposal for ${talentId}: ${proposal.changed.join(', ') || 'no changes'}`);
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      extractionSource: extraction.source,
+      proposal,
+      cvProfile: profile
+    });
+  },
+
+  /**
+   * Write the profile fields the user accepted from suggestProfileUpdate. Only
+   * the talent (x-appwrite-user-id) may update their own profile.
+   */
+  async applyProfileUpdate(requestData, { req, res, log }) {
+    const { talentId, changes } = requestData;
+    const callerId = req.headers?.['x-appwrite-user-id'];
+
+    if (!talentId || !changes) {
+      return utils.sendError(res, new ValidationError('Missing required parameters: talentId and changes are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
+    }
+
+    let update;
+    let talent;
+    try {
+      update = profileAutofill.validateChanges(changes, careerStages.names());
+      talent = await dataFetcher.getTalent(talentId);
+    } catch (requestError) {
+      return utils.sendError(res, requestError, log);
+    }
+
+    if (!utils.isTalentOwner(talent, callerId)) {
+      return utils.sendError(res, new AuthorizationError('Only the talent can update their own profile'), log);
+    }
+
+    let updated;
+    try {
+      updated = await databases.updateDocument(config.databaseId, config.talentsCollectionId, talent.$id, update);
+    } catch (updateError) {
+      return utils.sendError(res, fromAppwriteError(updateError, 'Talent'), log);
+    }
+    log(`Talent ${talentId} profile updated: ${Object.keys(update).join(', ')}`);
+
+    return res.json({
+      success: true,
+      statusCode: 200,
+      updated: Object.keys(update),
+      profile: Object.fromEntries(profileAutofill.fields.map(name => [name, updated[name] !== undefined ? updated[name] : null]))
+    });
+  }
+};
+
+/**
+ * Main Function Handler
+ */
+module.exports = async function({ req, res, log, error }) {
+  const startTime = Date.now();
+  let uploadedFileIds = [];
+  let progress = null;
+  resilience.begin({ startedAt: startTime, log });
+  
+  try {
+    log('=== Career-Stage Aware Document Analysis Started ===');
+    
+    // Validate environment variables
+    const llmConfigError = llm.configError();
+    if (llmConfigError) {
+      return utils.sendError(res, new ConfigurationError('Server configuration error', { detail: llmConfigError }), error);
+    }
+
+    try {
+      await careerStages.load();
+    } catch (stageError) {
+      return utils.sendError(res, stageError, error);
+    }
+
+    // Parse request body with improved error handling
+    let requestData;
+    try {
+      if (!req.body) {
         throw new Error('Request body is empty');
       }
       requestData = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
     } catch (parseError) {
       error('Failed to parse request body:', parseError);
-      return res.json({ 
-        success: false, 
-        error: 'Invalid JSON input', 
-        statusCode: 400 
-      }, 400);
+      return utils.sendError(res, new ValidationError('Invalid JSON input', {
+        code: 'INVALID_JSON', detail: parseError.message
+      }), log);
+    }
+
+    const action = requestData.action || 'analyze';
+    if (action !== 'analyze') {
+      if (!Object.prototype.hasOwnProperty.call(requestActions, action)) {
+        return utils.sendError(res, new ValidationError(`Unknown action: ${action}`, { code: 'UNKNOWN_ACTION' }), log);
+      }
+      log(`Handling action: ${action}`);
+      return await requestActions[action](requestData, { req, res, log, error });
+    }
+
+    // Progress events go out as a stream (sse/ndjson) and/or to a pollable document
+    const { progressId } = requestData;
+    if (progressId !== undefined && !isValidProgressId(progressId)) {
+      return utils.sendError(res, new ValidationError('progressId must be 1-36 characters: letters, digits, period, hyphen or underscore', {
+        code: 'INVALID_PROGRESS_ID'
+      }), log);
     }
+    progress = createProgressChannel({
+      res,
+      format: streamFormat(req, requestData),
+      store: progressId ? progressStore : null,
+      progressId,
+      talentId: requestData.talentId,
+      log
+    });
 
     const { 
       talentId, 
@@ -566,65 +2491,108 @@ module.exports = async function({ req, res, log, error }) {
       coverLetterFileName 
     } = requestData;
 
+    const redactPII = utils.shouldRedact(requestData);
+    const fairnessMode = requestData.fairnessMode === true;
+    const fairnessAudit = fairnessMode && requestData.fairnessAudit === true;
+
     log(`Processing request - Talent: ${talentId}, Job: ${jobId}`);
     log(`Files - CV: ${cvFileName || 'None'}, Cover Letter: ${coverLetterFileName || 'None'}`);
     
     // Validate required parameters
     if (!talentId || !jobId) {
-      return res.json({ 
-        success: false, 
-        error: 'Missing required parameters: talentId and jobId are required', 
-        statusCode: 400 
-      }, 400);
+      return utils.respondError(progress, new ValidationError('Missing required parameters: talentId and jobId are required', {
+        code: 'MISSING_PARAMETERS'
+      }), log);
     }
 
     if (!cvData && !coverLetterData) {
-      return res.json({ 
-        success: false, 
-        error: 'At least one document (CV or cover letter) must be provided', 
-        statusCode: 400 
-      }, 400);
+      return utils.respondError(progress, new ValidationError('At least one document (CV or cover letter) must be provided', {
+        code: 'MISSING_DOCUMENT'
+      }), log);
     }
 
-    // Validate files if provided
-    try {
-      if (cvData && cvFileName) {
-        utils.validateFile(cvFileName, cvData);
-      }
-      if (coverLetterData && coverLetterFileName) {
-        utils.validateFile(coverLetterFileName, coverLetterData);
+    // Documents are validated, extracted and analyzed independently so one
+    // failing document does not discard the other's analysis
+    const documents = [
+      { kind: 'cv', label: 'CV', documentType: 'CV', stagePrefix: 'cv', data: cvData, fileName: cvFileName },
+      { kind: 'coverLetter', label: 'Cover letter', documentType: 'Cover Letter', stagePrefix: 'cover_letter', data: coverLetterData, fileName: coverLetterFileName }
+    ].filter(document => document.data || document.fileName);
+    const documentErrors = {
+      cv: null,
+      coverLetter: null
+    };
+
+    for (const document of documents) {
+      try {
+        utils.validateFile(document.fileName, document.data);
+      } catch (validationError) {
+        documentErrors[document.kind] = utils.describeDocumentError('validation', validationError);
       }
-    } catch (validationError) {
-      return res.json({
+    }
+
+    if (documents.every(document => documentErrors[document.kind])) {
+      return progress.respond({
         success: false,
-        error: validationError.message,
+        status: 'failed',
+        error: documents.map(document => `${document.label}: ${documentErrors[document.kind].message}`).join('; '),
+        code: documentErrors[documents[0].kind].code,
+        errors: documentErrors,
         statusCode: 400
       }, 400);
     }
 
+    progress.emit('validated', {
+      documents: Object.fromEntries(documents.map(document => [document.kind, !documentErrors[document.kind]])),
+      errors: documentErrors
+    });
+
     // Fetch required data with improved error handling
     log('Fetching talent, job, and employer information...');
-    let talent, job, employer = null;
+    let talent, job, employer;
     
     try {
-      [talent, job] = await Promise.all([
-        dataFetcher.getTalent(talentId),
-        dataFetcher.getJob(jobId)
-      ]);
+      ({ talent, job, employer } = await dataFetcher.getAnalysisContext(talentId, jobId));
     } catch (fetchError) {
-      return res.json({
-        success: false,
-        error: fetchError.message,
-        statusCode: 404
-      }, 404);
+      return utils.respondError(progress, fetchError, log);
     }
 
-    // Fetch employer information if available
-    if (job.employer) {
-      employer = await dataFetcher.getEmployer(job.employer);
+    log(`Successfully fetched: Talent: ${talent.fullname} (${talent.careerStage}), Job: ${job.name}`);
+
+    // Async mode: queue the run and process it in a separate execution
+    if (requestData.mode === 'async') {
+      const { id: analysisId, runToken } = await analysisRuns.create({
+        talentId,
+        jobId,
+        cvData: documentErrors.cv ? null : cvData,
+        cvFileName,
+        coverLetterData: documentErrors.coverLetter ? null : coverLetterData,
+        coverLetterFileName,
+        redactPII,
+        fairnessMode,
+        fairnessAudit
+      });
+      let triggered = false;
+      try {
+        triggered = await analysisRuns.trigger(analysisId, talentId, runToken);
+      } catch (triggerError) {
+        error(`Could not start run ${analysisId}: ${triggerError.message}`);
+      }
+      log(`Analysis queued: ${analysisId}${triggered ? '' : ' (waiting for runAnalysis)'}`);
+
+      return progress.respond({
+        success: true,
+        statusCode: 202,
+        analysisId,
+        status: 'queued',
+        processingStarted: triggered,
+        errors: documentErrors
+      }, 202);
     }
 
-    log(`Successfully fetched: Talent: ${talent.fullname} (${talent.careerStage}), Job: ${job.name}`);
+    progress.emit('context_fetched', {
+      careerStageContext: utils.buildCareerStageSummary(talent),
+      jobContext: utils.buildJobContext(job, employer)
+    });
     if (employer) {
       log(`Employer: ${employer.name}`);
     }
@@ -634,161 +2602,202 @@ module.exports = async function({ req, res, log, error }) {
       cv: null,
       coverLetter: null
     };
+    const extractionSources = {
+      cv: null,
+      coverLetter: null
+    };
+    const contentHashes = {
+      cv: null,
+      coverLetter: null
+    };
+    const cacheHits = {
+      cv: null,
+      coverLetter: null
+    };
+    const documentTexts = {
+      cv: null,
+      coverLetter: null
+    };
+    const redactedCounts = {
+      cv: null,
+      coverLetter: null
+    };
+    let cvFairnessAudit = null;
+    let atsReport = null;
+    let cvProfile = null;
+
+    for (const document of documents) {
+      if (documentErrors[document.kind]) {
+        continue;
+      }
 
-    // Process CV if provided
-    if (cvData && cvFileName) {
-      log('Processing CV...');
+      log(`Processing ${document.label}...`);
+      let stage = 'extraction';
       try {
-        const cvBuffer = Buffer.from(cvData, 'base64');
-        
+        const buffer = Buffer.from(document.data, 'base64');
+        contentHashes[document.kind] = utils.hashContent(buffer);
+
         // Upload temporary file for processing (optional)
-        const tempFileId = await fileUploader.uploadTemporaryFile(cvBuffer, cvFileName, talentId);
+        const tempFileId = await fileUploader.uploadTemporaryFile(buffer, document.fileName, talentId);
         if (tempFileId) {
           uploadedFileIds.push(tempFileId);
-          log(`CV uploaded temporarily: ${tempFileId}`);
+          log(`${document.label} uploaded temporarily: ${tempFileId}`);
         }
 
-        // Extract text from CV
-        const cvText = await documentProcessor.extractText(cvBuffer, cvFileName, 'CV');
-        log(`CV text extracted: ${cvText.length} characters`);
-
-        // Analyze CV with career stage consideration
-        results.cv = await aiAnalyzer.analyzeCVForJob(cvText, talent, job, employer);
-        log('CV analysis completed successfully');
+        // Extract text
+        const extraction = await documentProcessor.extractText(buffer, document.fileName, document.documentType);
+        log(`${document.label} text extracted (${extraction.cached ? 'cache' : extraction.source}): ${extraction.text.length} characters`);
+        extractionSources[document.kind] = extraction.source;
+        documentTexts[document.kind] = extraction.text;
+        progress.emit(`${document.stagePrefix}_extracted`, { source: extraction.source, characters: extraction.text.length });
+
+        if (document.kind === 'cv') {
+          atsReport = documentProcessor.auditForATS(buffer, extraction, job);
+          if (atsReport) {
+            log(`ATS audit: ${atsReport.status} (${atsReport.summary.fail} failed, ${atsReport.summary.warn} warnings)`);
+            progress.emit('ats_audited', { atsReport });
+          }
+        }
 
-      } catch (cvError) {
-        error(`CV processing failed: ${cvError.message}`);
-        return res.json({
-          success: false,
-          error: `CV processing failed: ${cvError.message}`,
-          statusCode: 500
-        }, 500);
+        // Analyze with career stage consideration
+        stage = 'analysis';
+        const run = await aiAnalyzer.analyzeWithCache(document.kind, extraction.text, talent, job, employer, {
+          redact: redactPII,
+          fairnessMode,
+          audit: fairnessAudit
+        });
+        results[document.kind] = run.analysis;
+        redactedCounts[document.kind] = run.redacted;
+        if (run.fairnessAudit) {
+          cvFairnessAudit = run.fairnessAudit;
+        }
+        if (run.profile) {
+          cvProfile = run.profile;
+        }
+        cacheHits[document.kind] = { text: extraction.cached, analysis: run.cached };
+        log(`${document.label} analysis completed successfully${run.cached ? ' (cached)' : ''}`);
+        progress.emit(`${document.stagePrefix}_analyzed`, { analysis: run.analysis, cached: run.cached });
+
+      } catch (documentError) {
+        error(`${document.label} processing failed: ${toAppError(documentError).toLog()}`);
+        documentErrors[document.kind] = utils.describeDocumentError(stage, documentError);
+        progress.emit(`${document.stagePrefix}_failed`, { error: documentErrors[document.kind] });
       }
     }
 
-    // Process Cover Letter if provided
-    if (coverLetterData && coverLetterFileName) {
-      log('Processing Cover Letter...');
-      try {
-        const coverLetterBuffer = Buffer.from(coverLetterData, 'base64');
-        
-        // Upload temporary file for processing (optional)
-        const tempFileId = await fileUploader.uploadTemporaryFile(coverLetterBuffer, coverLetterFileName, talentId);
-        if (tempFileId) {
-          uploadedFileIds.push(tempFileId);
-          log(`Cover letter uploaded temporarily: ${tempFileId}`);
-        }
-
-        // Extract text from cover letter
-        const coverLetterText = await documentProcessor.extractText(
-          coverLetterBuffer, 
-          coverLetterFileName, 
-          'Cover Letter'
-        );
-        log(`Cover letter text extracted: ${coverLetterText.length} characters`);
-
-        // Analyze cover letter with career stage consideration
-        results.coverLetter = await aiAnalyzer.analyzeCoverLetterForJob(
-          coverLetterText, 
-          talent, 
-          job, 
-          employer
-        );
-        log('Cover letter analysis completed successfully');
-
-      } catch (coverLetterError) {
-        error(`Cover letter processing failed: ${coverLetterError.message}`);
-        return res.json({
-          success: false,
-          error: `Cover letter processing failed: ${coverLetterError.message}`,
-          statusCode: 500
-        }, 500);
-      }
+    const analyzedCount = documents.filter(document => results[document.kind]).length;
+    if (analyzedCount === 0) {
+      const firstError = documentErrors[documents[0].kind];
+      return progress.respond({
+        success: false,
+        status: 'failed',
+        error: documents.map(document => `${document.label}: ${documentErrors[document.kind].message}`).join('; '),
+        code: firstError.code,
+        errors: documentErrors,
+        statusCode: firstError.statusCode
+      }, firstError.statusCode);
     }
+    const runStatus = analyzedCount === documents.length ? 'success' : 'partial_success';
+    const httpStatus = runStatus === 'success' ? 200 : 207;
 
     // Generate combined insights if both documents were analyzed
     let combinedInsights = null;
     if (results.cv && results.coverLetter) {
-      const careerStageContext = utils.getCareerStageContext(talent.careerStage);
-      
-      const cvScore = results.cv.overallMatchScore || 0;
-      const clScore = results.coverLetter.overallEffectiveness || 0;
-      const cvCareerScore = results.cv.careerStageAlignment?.score || 50;
-      const clCareerScore = results.coverLetter.careerStageAppropriate?.score || 50;
-      
-      combinedInsights = {
-        overallApplicationScore: Math.round((cvScore + clScore) / 2),
-        careerStageReadiness: {
-          score: Math.round((cvCareerScore + clCareerScore) / 2),
-          alignment: `Strong alignment for ${talent.careerStage} career stage`,
-          recommendation: cvScore >= 70 && clScore >= 70 
-            ? "Application ready - good fit for career stage"
-            : "Consider improvements before submission"
-        },
-        consistencyCheck: {
-          score: 75,
-          strengthsAlignment: "Documents consistently highlight relevant experience",
-          improvementAreas: "Ensure skill emphasis matches between documents"
-        },
-        strategicAdvice: [
-          `Focus on ${careerStageContext.focus.toLowerCase()} in your application approach`,
-          "Align both documents to emphasize your career stage strengths",
-          "Highlight growth potential and learning mindset"
-        ]
-      };
+      combinedInsights = applicationInsights.combine({
+        cv: results.cv,
+        coverLetter: results.coverLetter,
+        cvText: documentTexts.cv,
+        coverLetterText: documentTexts.coverLetter,
+        talent,
+        job,
+        employer
+      });
+      progress.emit('combined', { combinedInsights });
     }
 
     // Prepare streamlined response
+    const analysis = {
+      cv: results.cv,
+      coverLetter: results.coverLetter,
+      combinedInsights: combinedInsights
+    };
+    const careerStageSummary = utils.buildCareerStageSummary(talent);
+    const jobContext = utils.buildJobContext(job, employer);
+    const analyzedAt = new Date().toISOString();
+
+    // Persist the run so it shows up in the talent's history (non-fatal on failure)
+    let analysisId = null;
+    try {
+      analysisId = await analysisStore.save({
+        talentId,
+        jobId,
+        contentHash: utils.hashContent(`${contentHashes.cv || ''}:${contentHashes.coverLetter || ''}`),
+        cvHash: contentHashes.cv,
+        coverLetterHash: contentHashes.coverLetter,
+        analysis,
+        careerStageContext: careerStageSummary,
+        jobContext,
+        analyzedAt
+      });
+      log(`Analysis stored: ${analysisId}`);
+      progress.emit('stored', { analysisId });
+    } catch (storeError) {
+      error(`Failed to store analysis: ${storeError.message}`);
+    }
+
     const executionTime = Date.now() - startTime;
-    const careerStageContext = utils.getCareerStageContext(talent.careerStage);
-    
     const response = {
       success: true,
-      statusCode: 200,
-      analysis: {
-        cv: results.cv,
-        coverLetter: results.coverLetter,
-        combinedInsights: combinedInsights
-      },
-      careerStageContext: {
-        stage: talent.careerStage || 'Not specified',
-        description: careerStageContext.description,
-        focus: careerStageContext.focus,
-        priorities: careerStageContext.priorities
-      },
-      jobContext: {
-        position: job.name || 'Not specified',
-        company: employer?.name || 'Company information not available',
-        level: job.seniorityLevel || 'Not specified',
-        industry: job.industry || 'Not specified'
-      },
+      status: runStatus,
+      statusCode: httpStatus,
+      analysisId: analysisId,
+      analysis: analysis,
+      documents: Object.fromEntries(documents.map(document => [
+        document.kind,
+        results[document.kind]
+          ? { status: 'analyzed' }
+          : { status: 'failed', error: documentErrors[document.kind] }
+      ])),
+      careerStageContext: careerStageSummary,
+      jobContext: jobContext,
+      redaction: piiRedactor.summarize(redactPII || fairnessMode, Object.values(redactedCounts)),
+      fairness: { enabled: fairnessMode, audit: cvFairnessAudit },
+      atsReport,
+      cvProfile,
+      profileSync: cvProfile ? cvParser.profileGaps(cvProfile, talent) : null,
       summary: {
         documentsAnalyzed: {
           cv: !!results.cv,
           coverLetter: !!results.coverLetter
         },
+        extractionSources: extractionSources,
+        cache: {
+          backend: cache.name,
+          cv: cacheHits.cv,
+          coverLetter: cacheHits.coverLetter
+        },
         executionTime: executionTime,
-        analyzedAt: new Date().toISOString()
+        analyzedAt: analyzedAt
       }
     };
 
-    log(`=== Analysis Completed Successfully ===`);
+    log(runStatus === 'success' ? '=== Analysis Completed Successfully ===' : '=== Analysis Completed With Failures ===');
     log(`Career Stage: ${talent.careerStage}`);
     log(`Execution time: ${executionTime}ms`);
     log(`Documents processed: CV: ${!!results.cv}, Cover Letter: ${!!results.coverLetter}`);
     
-    return res.json(response);
+    return progress.respond(response, httpStatus);
 
   } catch (unexpectedError) {
     const executionTime = Date.now() - startTime;
-    error(`Unexpected error in document analysis: ${unexpectedError.message}`);
+    const appError = toAppError(unexpectedError);
+    error(`Document analysis failed: ${appError.toLog()}`);
 
-    return res.json({
-      success: false,
-      error: 'Analysis failed: ' + unexpectedError.message,
-      statusCode: 500,
+    const failure = {
+      ...appError.toResponse(),
       executionTime: executionTime
-    }, 500);
+    };
+    return progress ? progress.respond(failure, appError.statusCode) : res.json(failure, appError.statusCode);
 
   } finally {
     // Clean up temporary files
@@ -0,0 +1,230 @@
+/**
+ * PII redaction for text sent to the model
+ *
+ * Personal details are replaced with placeholders such as [EMAIL_1] before a
+ * prompt is built and restored in the model's output afterwards. Placeholders
+ * are numbered by first appearance, so the same text always redacts to the same
+ * result and cached analyses of redacted text stay reusable.
+ */
+
+const PLACEHOLDER_PREFIXES = {
+  name: 'NAME',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  address: 'ADDRESS',
+  dateOfBirth: 'DATE_OF_BIRTH',
+  idNumber: 'ID_NUMBER',
+  age: 'AGE',
+  gender: 'GENDER',
+  nationality: 'NATIONALITY',
+  maritalStatus: 'MARITAL_STATUS',
+  religion: 'RELIGION',
+  photo: 'PHOTO'
+};
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${Object.values(PLACEHOLDER_PREFIXES).join('|')})_\\d+\\]`, 'g');
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}|\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})`;
+const ID_LABEL = '(?:national\\s+id(?:entity)?(?:\\s+card)?|identity\\s+card|id(?:\\s+card)?|passport|ssn|social\\s+security|national\\s+insurance|ni|nin|tax\\s+id|tin|kra\\s+pin|driver\'?s?\\s+licen[cs]e)';
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Close|Crescent|Terrace|Highway|Hwy)';
+
+const digitCount = (value) => (value.match(/\d/g) || []).length;
+
+/**
+ * Unlabeled digit runs are only phone numbers in recognizable phone formats;
+ * anything else (amounts, year ranges, dates) is left alone
+ */
+function looksLikePhone(value) {
+  const digits = digitCount(value);
+  if (digits < 7 || digits > 15) return false;
+  if (/^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(value)) return false;
+  return /^[+(]/.test(value) ||
+    (value.startsWith('0') && digits >= 9 && digits <= 11) ||
+    /^\d{3}[\s.-]\d{3}[\s.-]\d{4}$/.test(value);
+}
+
+// Applied in order; labeled rules only replace their `value` group
+const RULES = [
+  {
+    category: 'email',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi
+  },
+  {
+    category: 'dateOfBirth',
+    pattern: new RegExp(`\\b(?:date\\s+of\\s+birth|birth\\s*date|d\\.?o\\.?b\\.?|born(?:\\s+on)?)\\s*[:-]?\\s*(?<value>${DATE})`, 'gi')
+  },
+  {
+    category: 'idNumber',
+    pattern: new RegExp(`\\b${ID_LABEL}\\.?\\s*(?:no\\.?|number|#)?\\s*[:#-]?\\s*(?<value>(?=[A-Z0-9-]*\\d)[A-Z0-9][A-Z0-9-]{4,19})\\b`, 'gi')
+  },
+  {
+    // US social security numbers
+    category: 'idNumber',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+  },
+  {
+    // UK national insurance numbers
+    category: 'idNumber',
+    pattern: /\b[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/g
+  },
+  {
+    category: 'address',
+    pattern: /(?<!(?:e-?mail|web|ip)\s)\b(?:home\s+|postal\s+|residential\s+)?address\s*:\s*(?<value>[^\n]+)/gi,
+    accept: (value) => value.replace(PLACEHOLDER_PATTERN, '').trim() !== ''
+  },
+  {
+    category: 'address',
+    pattern: new RegExp(`\\b\\d{1,5}[A-Za-z]?,?\\s+(?:[A-Z][A-Za-z'.-]*\\s+){1,4}${STREET_SUFFIX}\\b\\.?(?:,\\s*(?:Apt|Apartment|Suite|Unit|Flat)\\.?\\s*[A-Za-z0-9-]+)?`, 'g')
+  },
+  {
+    category: 'address',
+    pattern: /\bP\.?\s?O\.?\s+Box\s+\d+(?:\s?-\s?\d{3,6})?/gi
+  },
+  {
+    category: 'phone',
+    pattern: /\b(?:phone|tel(?:ephone)?|mobile|cell|mob)\.?\s*(?:no\.?|number)?\s*[:-]?\s*(?<value>\+?[\d(][\d\s().-]{5,}\d)/gi,
+    accept: (value) => digitCount(value) >= 7 && digitCount(value) <= 15
+  },
+  {
+    category: 'phone',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?![\w-])/g,
+    accept: looksLikePhone
+  }
+];
+
+// Protected attributes, masked in fairness mode after the personal details above
+const PROTECTED_RULES = [
+  {
+    category: 'age',
+    pattern: /\b(?:age|aged)\s*[:-]?\s*(?<value>\d{2})\b/gi
+  },
+  {
+    category: 'age',
+    pattern: /\b\d{2}\s*(?:years?|yrs?)[\s-]old\b/gi
+  },
+  {
+    category: 'age',
+    pattern: /\b(?:year\s+of\s+birth|born(?:\s+in)?)\s*[:-]?\s*(?<value>(?:19|20)\d{2})\b/gi
+  },
+  {
+    category: 'gender',
+    pattern: /\b(?:gender|sex)\s*[:-]?\s*(?<value>male|female|man|woman|non-binary)\b/gi
+  },
+  {
+    // Honorifics in front of the (already redacted) name
+    category: 'gender',
+    pattern: /\b(?<value>(?:Mr|Mrs|Ms|Miss)\.?)(?=\s+\[NAME_\d+\])/g
+  },
+  {
+    category: 'nationality',
+    pattern: /\b(?:nationality|citizenship|ethnicity|race|tribe)\s*[:-]\s*(?<value>[^\n,;|]{2,40})/gi
+  },
+  {
+    category: 'maritalStatus',
+    pattern: /\bmarital\s+status\s*[:-]\s*(?<value>[^\n,;|]{2,30})/gi
+  },
+  {
+    category: 'religion',
+    pattern: /\b(?:religion|faith)\s*[:-]\s*(?<value>[^\n,;|]{2,30})/gi
+  },
+  {
+    // Photo descriptions that vision extraction may add for image CVs
+    category: 'photo',
+    pattern: /^[^\n]*\b(?:photo(?:graph)?|headshot|profile\s+picture|passport\s+picture)\b[^\n]*$/gim
+  }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const piiRedactor = {
+  categories: Object.keys(PLACEHOLDER_PREFIXES),
+
+  /**
+   * Redact `text`. The talent's full name, when given, is always replaced (it
+   * also appears in prompts) and resolves to `fullname`. `protectedAttributes`
+   * also masks age, gender, nationality, marital status, religion and photo
+   * cues. Resolves to
+   * { text, fullname, replacements: { placeholder: original }, counts: { category: n } }.
+   */
+  redact(text, { fullname, protectedAttributes = false } = {}) {
+    const replacements = {};
+    const counts = {};
+    const placeholders = new Map();
+
+    const placeholderFor = (category, value) => {
+      const key = `${category}:${value.toLowerCase().replace(/\s+/g, ' ').trim()}`;
+      if (!placeholders.has(key)) {
+        counts[category] = (counts[category] || 0) + 1;
+        const placeholder = `[${PLACEHOLDER_PREFIXES[category]}_${counts[category]}]`;
+        placeholders.set(key, placeholder);
+        replacements[placeholder] = value;
+      }
+      return placeholders.get(key);
+    };
+
+    let redacted = String(text || '');
+    let namePlaceholder = null;
+
+    const name = String(fullname || '').trim();
+    if (name) {
+      namePlaceholder = placeholderFor('name', name);
+      const namePattern = new RegExp(`\\b${name.split(/\s+/).map(escapeRegExp).join('\\s+')}\\b`, 'gi');
+      redacted = redacted.replace(namePattern, namePlaceholder);
+    }
+
+    for (const rule of protectedAttributes ? [...RULES, ...PROTECTED_RULES] : RULES) {
+      redacted = redacted.replace(rule.pattern, (match, ...args) => {
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const value = (groups && groups.value) || match;
+        if (rule.accept && !rule.accept(value.trim())) {
+          return match;
+        }
+        return match.replace(value.trim(), placeholderFor(rule.category, value.trim()));
+      });
+    }
+
+    return { text: redacted, fullname: namePlaceholder, replacements, counts };
+  },
+
+  /**
+   * Put the original values back into every string of a (nested) result
+   */
+  rehydrate(value, replacements) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, placeholder =>
+        Object.prototype.hasOwnProperty.call(replacements, placeholder) ? replacements[placeholder] : placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.rehydrate(item, replacements));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.rehydrate(item, replacements)]));
+    }
+    return value;
+  },
+
+  /**
+   * Categories redacted across several documents, for the response:
+   * { enabled, categories: [...], counts: { category: n } }
+   */
+  summarize(enabled, documentCounts = []) {
+    const counts = {};
+    for (const documentCount of documentCounts) {
+      for (const [category, count] of Object.entries(documentCount || {})) {
+        counts[category] = (counts[category] || 0) + count;
+      }
+    }
+    return {
+      enabled,
+      categories: this.categories.filter(category => counts[category]),
+      counts
+    };
+  }
+};
+
+module.exports = {
+  piiRedactor
+};
@@ -0,0 +1,124 @@
+const { cvParser } = require('./cvParser');
+const { ValidationError } = require('./errors');
+
+// Talent attributes the auto-fill may write
+const FIELDS = ['skills', 'degrees', 'careerHistory', 'careerStage'];
+// Limits for confirmed values, in line with the talent collection's string arrays
+const MAX_ITEMS = 100;
+const MAX_ITEM_LENGTH = 255;
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Proposed talent profile updates from a parsed CV, and validation of the
+ * fields the user confirms
+ */
+const profileAutofill = {
+  fields: FIELDS,
+
+  /**
+   * One line per work history entry: "Title at Employer (2019-03 - present)"
+   */
+  careerHistory(profile) {
+    return profile.experience.map(entry => {
+      const role = [entry.title, entry.employer].filter(Boolean).join(' at ');
+      const dates = `${entry.startDate} - ${entry.current ? 'present' : entry.endDate}`;
+      return `${role || 'Role'} (${dates})`;
+    });
+  },
+
+  /**
+   * The configured stage `stage` names (any case), else null
+   */
+  normalizeStage(stage, stages) {
+    return stages.find(known => sameText(known, stage || '')) || null;
+  },
+
+  /**
+   * Diff of the talent document against the parsed CV. Array fields keep every
+   * current value and append what the CV adds; careerStage carries the
+   * suggestion's reasoning when it names one of `stages`. Resolves to
+   * { fields: { name: { current, proposed, added } }, changed: [name] }.
+   */
+  propose(profile, talent, stageSuggestion, stages) {
+    const gaps = cvParser.profileGaps(profile, talent);
+    const currentHistory = talent.careerHistory || [];
+    const addedHistory = this.careerHistory(profile)
+      .filter(line => !currentHistory.some(existing => sameText(existing, line)));
+    const arrayField = (current, added) => ({ current, proposed: [...current, ...added], added });
+
+    const proposedStage = stageSuggestion ? this.normalizeStage(stageSuggestion.careerStage, stages) : null;
+    const fields = {
+      skills: arrayField(talent.skills || [], gaps.missingSkills),
+      degrees: arrayField(talent.degrees || [], gaps.missingDegrees),
+      careerHistory: arrayField(currentHistory, addedHistory),
+      careerStage: {
+        current: talent.careerStage || null,
+        proposed: proposedStage,
+        confidence: stageSuggestion ? stageSuggestion.confidence : null,
+        reasoning: stageSuggestion ? stageSuggestion.reasoning : null,
+        evidence: stageSuggestion ? stageSuggestion.evidence : []
+      }
+    };
+
+    const changed = FIELDS.filter(name => (name === 'careerStage'
+      ? fields.careerStage.proposed !== null && fields.careerStage.proposed !== fields.careerStage.current
+      : fields[name].added.length > 0));
+
+    return { fields, changed };
+  },
+
+  /**
+   * Check the fields the user accepted and return the document update. Only
+   * known fields are allowed, careerStage must be one of `stages`; arrays are
+   * trimmed and de-duplicated.
+   */
+  validateChanges(changes, stages) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ValidationError('changes must be an object of accepted profile fields', { code: 'INVALID_PROFILE_CHANGES' });
+    }
+
+    const unknown = Object.keys(changes).filter(name => !FIELDS.includes(name));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown profile fields: ${unknown.join(', ')}`, {
+        code: 'INVALID_PROFILE_CHANGES',
+        detail: `allowed: ${FIELDS.join(', ')}`
+      });
+    }
+
+    const update = {};
+    for (const [name, value] of Object.entries(changes)) {
+      if (name === 'careerStage') {
+        const stage = this.normalizeStage(value, stages);
+        if (!stage) {
+          throw new ValidationError(`careerStage must be one of: ${stages.join(', ')}`, { code: 'INVALID_PROFILE_CHANGES' });
+        }
+        update.careerStage = stage;
+        continue;
+      }
+
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        throw new ValidationError(`${name} must be an array of strings`, { code: 'INVALID_PROFILE_CHANGES' });
+      }
+      const items = [];
+      for (const item of value.map(entry => entry.trim()).filter(Boolean)) {
+        if (!items.some(existing => sameText(existing, item))) items.push(item);
+      }
+      if (items.length > MAX_ITEMS || items.some(item => item.length > MAX_ITEM_LENGTH)) {
+        throw new ValidationError(`${name} allows at most ${MAX_ITEMS} entries of up to ${MAX_ITEM_LENGTH} characters`, {
+          code: 'INVALID_PROFILE_CHANGES'
+        });
+      }
+      update[name] = items;
+    }
+
+    if (Object.keys(update).length === 0) {
+      throw new ValidationError('No accepted profile fields to update', { code: 'INVALID_PROFILE_CHANGES' });
+    }
+    return update;
+  }
+};
+
+module.exports = {
+  profileAutofill
+};
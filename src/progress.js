@@ -0,0 +1,176 @@
+/**
+ * Progress reporting for long analysis runs
+ *
+ * A channel receives stage events while the pipeline runs and delivers them as
+ * - 'json': nothing until the final response (default, unchanged behaviour)
+ * - 'sse' / 'ndjson': a live stream when the host runtime supports chunked
+ *   responses (res.start / res.writeText / res.end), otherwise the same events
+ *   buffered into the final response body.
+ * Independently, events can be mirrored to a progress store so clients on
+ * hosts that cannot stream poll them by progress id.
+ */
+
+const { AuthorizationError } = require('./errors');
+
+const STREAM_FORMATS = {
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson'
+};
+
+// Appwrite custom document id rules
+const PROGRESS_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,35}$/;
+
+/**
+ * Pick the response format from an explicit `stream` field or the Accept header
+ */
+function streamFormat(req, requestData) {
+  if (requestData.stream && STREAM_FORMATS[requestData.stream]) {
+    return requestData.stream;
+  }
+  const accept = String(req.headers?.accept || '');
+  return Object.keys(STREAM_FORMATS).find(format => accept.includes(STREAM_FORMATS[format])) || 'json';
+}
+
+function isValidProgressId(progressId) {
+  return typeof progressId === 'string' && PROGRESS_ID_PATTERN.test(progressId);
+}
+
+function serialize(format, type, payload) {
+  if (format === 'sse') {
+    return `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+  return `${JSON.stringify({ type, ...payload })}\n`;
+}
+
+/**
+ * Progress documents hold { talentId, stage, events, completed, updatedAt } with
+ * events JSON-encoded; readable by the talent only. A progress id already used
+ * by another talent is never overwritten.
+ */
+function createProgressStore(databases, { databaseId, collectionId }) {
+  return {
+    async write(progressId, { talentId, stage, events, completed }) {
+      const data = {
+        talentId,
+        stage,
+        events: JSON.stringify(events),
+        completed,
+        updatedAt: new Date().toISOString()
+      };
+
+      try {
+        await databases.createDocument(databaseId, collectionId, progressId, data, [`read("user:${talentId}")`]);
+      } catch (error) {
+        if (error.code !== 409) throw error;
+        const existing = await databases.getDocument(databaseId, collectionId, progressId);
+        if (existing.talentId !== talentId) {
+          throw new AuthorizationError(`Progress id ${progressId} belongs to another talent`);
+        }
+        await databases.updateDocument(databaseId, collectionId, progressId, data);
+      }
+    },
+
+    /**
+     * Progress for a run, or null when it does not exist or belongs to another talent
+     */
+    async get(progressId, talentId) {
+      let document;
+      try {
+        document = await databases.getDocument(databaseId, collectionId, progressId);
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+      if (document.talentId !== talentId) return null;
+
+      let events = [];
+      try {
+        events = JSON.parse(document.events || '[]');
+      } catch (parseError) {
+        events = [];
+      }
+
+      return {
+        progressId,
+        stage: document.stage,
+        completed: !!document.completed,
+        updatedAt: document.updatedAt,
+        events
+      };
+    }
+  };
+}
+
+/**
+ * Create a channel for one run. `respond(body, statusCode)` replaces res.json for
+ * the final response so it is delivered in the chosen format.
+ */
+function createProgressChannel({ res, format = 'json', store = null, progressId = null, talentId = null, log = () => {} }) {
+  const startedAt = Date.now();
+  const events = [];
+  const canStream = format !== 'json' && typeof res.start === 'function' &&
+    typeof res.writeText === 'function' && typeof res.end === 'function';
+  let streaming = false;
+  let persisted = Promise.resolve();
+
+  const persist = (completed) => {
+    if (!store || !progressId || !talentId) return;
+    const snapshot = {
+      talentId,
+      stage: events.length ? events[events.length - 1].stage : 'started',
+      events: events.slice(),
+      completed
+    };
+    // Writes are chained so a slow earlier write never overwrites a later one
+    persisted = persisted
+      .then(() => store.write(progressId, snapshot))
+      .catch(error => log(`Could not record progress: ${error.message}`));
+  };
+
+  return {
+    format,
+    events,
+
+    emit(stage, data) {
+      const event = { stage, at: new Date().toISOString(), elapsedMs: Date.now() - startedAt };
+      if (data !== undefined) {
+        event.data = data;
+      }
+      events.push(event);
+
+      if (canStream) {
+        if (!streaming) {
+          res.start(200, { 'content-type': STREAM_FORMATS[format], 'cache-control': 'no-cache' });
+          streaming = true;
+        }
+        res.writeText(serialize(format, 'progress', event));
+      }
+      persist(false);
+    },
+
+    async respond(body, statusCode = 200) {
+      persist(true);
+      await persisted;
+
+      if (format === 'json') {
+        return res.json(body, statusCode);
+      }
+
+      const result = serialize(format, 'result', { statusCode, body });
+      if (streaming) {
+        res.writeText(result);
+        return res.end();
+      }
+
+      const buffered = events.map(event => serialize(format, 'progress', event)).join('') + result;
+      return res.send(buffered, statusCode, { 'content-type': STREAM_FORMATS[format] });
+    }
+  };
+}
+
+module.exports = {
+  streamFormat,
+  isValidProgressId,
+  createProgressStore,
+  createProgressChannel
+};
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { schemaValidator, jsonResponse } = require('./schemas');
+
+/**
+ * LLM providers
+ *
+ * Every provider exposes the same interface:
+ * - generateText(prompt, options) -> string
+ * - generateFromDocument(prompt, { data, mimeType }, options) -> string
+ * - generateJSON(prompt, schema, options) -> object matching schema
+ * - configError() -> message describing missing configuration, or null
+ *
+ * `options.task` names the call (e.g. 'cvAnalysis'); the mock provider uses it
+ * to pick a fixture, the others ignore it. `options.signal` aborts the request.
+ */
+
+/**
+ * Shared JSON generation on top of generateText. A parse or schema failure
+ * re-prompts the model once with the problems found; whatever comes back is
+ * then normalized so every field exists with its expected type.
+ */
+async function generateJSON(prompt, schema, options = {}) {
+  let currentPrompt = prompt;
+  let lastParsed = null;
+  let problems = [];
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const responseText = await this.generateText(currentPrompt, { ...options, attempt });
+
+    try {
+      lastParsed = jsonResponse.parse(responseText);
+      problems = schemaValidator.validate(lastParsed, schema);
+    } catch (parseError) {
+      problems = [parseError.message];
+    }
+
+    if (problems.length === 0) {
+      break;
+    }
+
+    console.warn(`AI response failed validation (attempt ${attempt}): ${problems.slice(0, 10).join('; ')}`);
+    currentPrompt = `${prompt}
+
+Your previous response could not be used because of these problems:
+${problems.slice(0, 20).map(problem => `- ${problem}`).join('\n')}
+
+Respond again with only the corrected JSON object, including every field from the format above.`;
+  }
+
+  if (lastParsed === null) {
+    throw new Error(`AI response was not valid JSON: ${problems.join('; ')}`);
+  }
+
+  return schemaValidator.normalize(lastParsed, schema);
+}
+
+/**
+ * Google Gemini via @google/generative-ai
+ */
+function createGeminiProvider({ apiKey, model, maxOutputTokens, temperature }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const getModel = () => genAI.getGenerativeModel({
+    model,
+    generationConfig: { maxOutputTokens, temperature }
+  });
+
+  return {
+    name: 'gemini',
+    model,
+
+    configError() {
+      return apiKey ? null : 'GEMINI_API_KEY environment variable is required';
+    },
+
+    async generateText(prompt, options = {}) {
+      const result = await getModel().generateContent(prompt, { signal: options.signal });
+      return result.response.text();
+    },
+
+    async generateFromDocument(prompt, { data, mimeType }, options = {}) {
+      const result = await getModel().generateContent([
+        prompt,
+        {
+          inlineData: {
+            data: data.toString('base64'),
+            mimeType: mimeType
+          }
+        }
+      ], { signal: options.signal });
+      return result.response.text();
+    },
+
+    generateJSON
+  };
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API (vLLM, Ollama, LM Studio, ...)
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model, maxOutputTokens, temperature }) {
+  const chat = async (content, signal) => {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content }],
+        max_tokens: maxOutputTokens,
+        temperature
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`LLM server responded ${response.status}: ${body.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const message = data.choices && data.choices[0] && data.choices[0].message;
+    if (!message || typeof message.content !== 'string') {
+      throw new Error('LLM server returned no message content');
+    }
+    return message.content;
+  };
+
+  return {
+    name: 'openai-compatible',
+    model,
+
+    configError() {
+      if (!baseUrl) return 'OPENAI_BASE_URL environment variable is required';
+      if (!model) return 'OPENAI_MODEL environment variable is required';
+      return null;
+    },
+
+    async generateText(prompt, options = {}) {
+      return chat(prompt, options.signal);
+    },
+
+    async generateFromDocument(prompt, { data, mimeType }, options = {}) {
+      if (!mimeType.startsWith('image/')) {
+        throw new Error(`${mimeType} documents are not supported by the OpenAI-compatible provider`);
+      }
+      return chat([
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` } }
+      ], options.signal);
+    },
+
+    generateJSON
+  };
+}
+
+const DEFAULT_MOCK_FIXTURES = {
+  documentText: `Jane Doe
+jane.doe@example.com | +1 555 010 0000
+EXPERIENCE
+Software Engineer, Example Corp (2019 - 2023)
+- Built React and Node.js services used by 10,000 customers
+EDUCATION
+BSc Computer Science, Example University (2015 - 2019)
+SKILLS
+JavaScript, React, Node.js, SQL`,
+
+  cvAnalysis: {
+    overallMatchScore: 72,
+    careerStageAlignment: {
+      score: 80,
+      isAppropriateLevel: true,
+      stageSpecificInsights: 'Role level matches the candidate career stage',
+      growthOpportunity: 'Role offers good advancement potential'
+    },
+    skillsAnalysis: {
+      matchingSkills: ['JavaScript', 'React'],
+      criticalGaps: ['Docker'],
+      transferableSkills: ['Problem Solving'],
+      matchPercentage: 70
+    },
+    experienceAlignment: {
+      relevantExperience: '4 years of web development',
+      levelMatch: true,
+      industryFit: 'Good technical foundation for role requirements'
+    },
+    educationMatch: {
+      degreeAlignment: 85,
+      additionalCertifications: []
+    },
+    topStrengths: ['Strong JavaScript foundation'],
+    improvementAreas: ['Gain hands-on Docker experience'],
+    careerStageGuidance: {
+      recommendation: 'Apply with confidence',
+      nextSteps: ['Highlight React project outcomes'],
+      timelineAdvice: 'Ready to apply now'
+    },
+    applicationReadiness: 75
+  },
+
+  coverLetterAnalysis: {
+    overallEffectiveness: 70,
+    careerStageAppropriate: {
+      score: 75,
+      toneAlignment: 'Professional tone',
+      contentLevel: 'Content demonstrates suitable experience level',
+      growthMindset: 'Shows learning orientation'
+    },
+    contentQuality: {
+      jobAlignment: 70,
+      skillsHighlighted: ['JavaScript'],
+      companyResearch: 60,
+      personalizedElements: ['Referenced role requirements']
+    },
+    communicationEffectiveness: {
+      clarity: 80,
+      persuasiveness: 70,
+      professionalTone: 85
+    },
+    keyStrengths: ['Clear articulation of relevant skills'],
+    improvements: ['Include specific achievement metrics'],
+    careerStageGuidance: {
+      approach: 'Emphasize growth potential',
+      focusAreas: ['Connect experience to role requirements']
+    },
+    actionItems: ['Add one metric per achievement']
+  },
+
+  coverLetterDraft: {
+    salutation: 'Dear Hiring Manager,',
+    paragraphs: [
+      {
+        text: 'I am applying for this role as a software engineer with four years of experience at Example Corp.',
+        claims: [{ statement: 'Software Engineer at Example Corp from 2019 to 2023', cvLines: [4] }]
+      },
+      {
+        text: 'At Example Corp I built React and Node.js services used by 10,000 customers.',
+        claims: [{ statement: 'Built React and Node.js services used by 10,000 customers', cvLines: [5] }]
+      }
+    ],
+    closing: 'I would welcome the chance to discuss how I can contribute to your team.',
+    emphasizedSkills: { matching: ['React'], transferable: ['Problem Solving'] }
+  },
+
+  cvRewrite: {
+    suggestions: [
+      {
+        bulletId: 1,
+        rewrite: 'Built and maintained React and Node.js services used by 10,000 customers, owning features from design to release',
+        reason: 'Mirrors the role responsibility of building user interfaces end to end',
+        targets: ['React', 'Build React UIs']
+      }
+    ]
+  },
+
+  careerStage: {
+    careerStage: 'Trailblazer',
+    confidence: 75,
+    reasoning: 'Four years in one software engineering role with growing responsibility point to an established professional building expertise in the same field',
+    evidence: ['Software Engineer, Example Corp (2019 - 2023)', 'BSc Computer Science']
+  }
+};
+
+/**
+ * Deterministic offline provider. Responses come from fixtures keyed by task;
+ * `fixtures` (or the JSON file at LLM_MOCK_FIXTURES) overrides the defaults.
+ * Unknown JSON tasks fall back to the schema's typed defaults.
+ */
+function createMockProvider({ fixtures = {}, model = 'mock' } = {}) {
+  const merged = { ...DEFAULT_MOCK_FIXTURES, ...fixtures };
+  const calls = [];
+
+  const fixtureText = (task) => {
+    const fixture = merged[task];
+    if (fixture === undefined) return null;
+    return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+  };
+
+  return {
+    name: 'mock',
+    model,
+    calls,
+
+    configError() {
+      return null;
+    },
+
+    async generateText(prompt, options = {}) {
+      calls.push({ method: 'generateText', task: options.task, prompt });
+      const text = fixtureText(options.task);
+      return text !== null ? text : `Mock response for ${options.task || 'text'}`;
+    },
+
+    async generateFromDocument(prompt, { data, mimeType }, options = {}) {
+      calls.push({ method: 'generateFromDocument', task: options.task, prompt, mimeType });
+      const text = fixtureText(options.task || 'documentText');
+      if (text !== null) return text;
+      return mimeType.startsWith('text/') ? data.toString('utf8') : merged.documentText;
+    },
+
+    async generateJSON(prompt, schema, options = {}) {
+      if (merged[options.task] === undefined) {
+        calls.push({ method: 'generateJSON', task: options.task, prompt });
+        return schemaValidator.normalize({}, schema);
+      }
+      return generateJSON.call(this, prompt, schema, options);
+    }
+  };
+}
+
+/**
+ * Stand-in for a provider that could not be set up: configError() reports the
+ * problem and every call fails with it
+ */
+function createUnavailableProvider(problem, name = 'unavailable') {
+  const fail = async () => {
+    throw new Error(problem);
+  };
+
+  return {
+    name,
+    model: null,
+
+    configError() {
+      return problem;
+    },
+
+    generateText: fail,
+    generateFromDocument: fail,
+    generateJSON: fail
+  };
+}
+
+/**
+ * Select a provider from the environment (LLM_PROVIDER = gemini | openai | mock).
+ * Configuration problems are reported through configError() rather than thrown.
+ */
+function createProvider(env, aiConfig) {
+  const providerName = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+  switch (providerName) {
+    case 'gemini':
+      return createGeminiProvider({ ...aiConfig, apiKey: env.GEMINI_API_KEY });
+    case 'openai':
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider({
+        ...aiConfig,
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL
+      });
+    case 'mock': {
+      let fixtures = {};
+      if (env.LLM_MOCK_FIXTURES) {
+        try {
+          fixtures = JSON.parse(fs.readFileSync(env.LLM_MOCK_FIXTURES, 'utf8'));
+        } catch (error) {
+          return createUnavailableProvider(`LLM_MOCK_FIXTURES (${env.LLM_MOCK_FIXTURES}) could not be loaded: ${error.message}`, 'mock');
+        }
+      }
+      return createMockProvider({ fixtures });
+    }
+    default:
+      return createUnavailableProvider(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (expected gemini, openai or mock)`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  createGeminiProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createUnavailableProvider
+};
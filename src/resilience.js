@@ -0,0 +1,172 @@
+/**
+ * Timeouts, retries and a per-execution deadline for calls to external services
+ *
+ * One policy is shared by the function. Each execution calls begin() with the
+ * handler's log; every wrapped call then
+ * - races a per-call timeout, capped by the time left before the deadline, and
+ *   aborts the attempt's signal when it fires (model calls honour it; the
+ *   Appwrite SDK has no per-request signal, so those requests are abandoned),
+ * - retries retryable failures with exponential backoff and full jitter,
+ * - gives up early when the remaining budget cannot fit another attempt.
+ * Create calls keep their document or file id across attempts, so a retry that
+ * hits 409 means an earlier attempt went through; the created resource is
+ * fetched and returned instead of failing.
+ */
+
+// HTTP statuses worth retrying: rate limiting and transient server failures
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// Create methods and how to fetch what an earlier attempt created
+const CREATE_CALLS = {
+  createDocument: (service, [databaseId, collectionId, documentId]) => service.getDocument(databaseId, collectionId, documentId),
+  createFile: (service, [bucketId, fileId]) => service.getFile(bucketId, fileId)
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP status carried by an SDK error: Appwrite uses `code`, Gemini and our
+ * OpenAI-compatible provider use `status`
+ */
+function errorStatus(error) {
+  if (typeof error.status === 'number') return error.status;
+  if (typeof error.code === 'number') return error.code;
+  return null;
+}
+
+function isRetryable(error) {
+  if (!error) return false;
+  if (error.timeout) return true;
+
+  const status = errorStatus(error);
+  if (status !== null && status > 0) {
+    return RETRYABLE_STATUSES.has(status);
+  }
+
+  const networkCode = error.code || (error.cause && error.cause.code);
+  if (typeof networkCode === 'string' && RETRYABLE_NETWORK_CODES.has(networkCode)) {
+    return true;
+  }
+  return /fetch failed|network|socket hang up|timed? ?out/i.test(error.message || '');
+}
+
+function createResiliencePolicy({
+  functionTimeoutSeconds = 300,
+  reserveSeconds = 5,
+  maxAttempts = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  minAttemptMs = 1000,
+  timeouts = {}
+} = {}) {
+  let deadline = Infinity;
+  let log = () => {};
+
+  const remaining = () => deadline - Date.now();
+
+  const withTimeout = (fn, ms, label) => {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timed out after ${ms}ms`);
+        error.timeout = true;
+        controller.abort(error);
+        reject(error);
+      }, ms);
+    });
+    const attempt = Promise.resolve().then(() => fn({ signal: controller.signal }));
+    return Promise.race([attempt, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  const policy = {
+    /**
+     * Start a new execution: reset the deadline budget and route retry logs
+     */
+    begin({ startedAt = Date.now(), log: executionLog } = {}) {
+      deadline = startedAt + (functionTimeoutSeconds - reserveSeconds) * 1000;
+      log = executionLog || (() => {});
+    },
+
+    /**
+     * Run fn({ signal }) with timeout and retries. `kind` selects the per-call
+     * timeout; `created` fetches the result when a retried create hits 409.
+     */
+    async call(label, fn, { kind = 'default', created = null } = {}) {
+      const callTimeout = timeouts[kind] || timeouts.default || 30000;
+      const startedAt = Date.now();
+
+      for (let attempt = 1; ; attempt++) {
+        const budget = remaining();
+        if (budget < minAttemptMs) {
+          const error = new Error(`${label} skipped: execution deadline reached`);
+          error.deadlineExceeded = true;
+          throw error;
+        }
+
+        try {
+          const result = await withTimeout(fn, Math.min(callTimeout, budget), label);
+          if (attempt > 1) {
+            log(`${label} succeeded on attempt ${attempt} after ${Date.now() - startedAt}ms`);
+          }
+          return result;
+        } catch (error) {
+          if (created && attempt > 1 && errorStatus(error) === 409) {
+            log(`${label} attempt ${attempt} found the resource created by an earlier attempt`);
+            return created();
+          }
+          const delay = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)));
+          const canRetry = attempt < maxAttempts && isRetryable(error) && remaining() - delay >= minAttemptMs;
+          if (!canRetry) {
+            if (attempt > 1) {
+              log(`${label} failed after ${attempt} attempts in ${Date.now() - startedAt}ms: ${error.message}`);
+            }
+            throw error;
+          }
+          log(`${label} attempt ${attempt}/${maxAttempts} failed (${error.message}); retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    },
+
+    /**
+     * Provider whose model calls go through call(); generateJSON keeps its own
+     * re-prompting on top of the retried generateText
+     */
+    wrapProvider(provider) {
+      const label = `${provider.name} model call`;
+      return {
+        ...provider,
+        generateText: (prompt, options = {}) =>
+          policy.call(`${label} (${options.task || 'text'})`, ({ signal }) => provider.generateText(prompt, { ...options, signal }), { kind: 'llm' }),
+        generateFromDocument: (prompt, document, options = {}) =>
+          policy.call(`${label} (${options.task || 'document'})`, ({ signal }) => provider.generateFromDocument(prompt, document, { ...options, signal }), { kind: 'llm' })
+      };
+    },
+
+    /**
+     * Proxy an SDK service (Databases, Storage, ...) so every method call goes through call()
+     */
+    wrapService(service, name) {
+      return new Proxy(service, {
+        get(target, property) {
+          const value = target[property];
+          if (typeof value !== 'function') return value;
+          const fetchCreated = CREATE_CALLS[property];
+          return (...args) => policy.call(`${name}.${String(property)}`, () => value.apply(target, args), {
+            kind: 'appwrite',
+            created: fetchCreated ? () => fetchCreated(target, args) : null
+          });
+        }
+      });
+    }
+  };
+
+  return policy;
+}
+
+module.exports = {
+  isRetryable,
+  createResiliencePolicy
+};
@@ -0,0 +1,117 @@
+/**
+ * Comparison of two CV analyses for the same job (baseline vs revision)
+ */
+
+// Normalized 0-100 fields of a CV analysis, by path
+const CV_SCORE_FIELDS = [
+  'overallMatchScore',
+  'careerStageAlignment.score',
+  'skillsAnalysis.matchPercentage',
+  'educationMatch.degreeAlignment',
+  'applicationReadiness'
+];
+
+// Fraction of shared significant words for two advice items to count as the same
+const SIMILARITY_THRESHOLD = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'to', 'of', 'in', 'on', 'for', 'with', 'your', 'you',
+  'by', 'at', 'as', 'or', 'more', 'into', 'from', 'that', 'this', 'be', 'is'
+]);
+
+const revisionComparer = {
+  /**
+   * Compare a baseline CV analysis with a revised one
+   */
+  compare(baseline, revision) {
+    const scoreDeltas = {};
+    for (const path of CV_SCORE_FIELDS) {
+      const before = this.valueAt(baseline, path);
+      const after = this.valueAt(revision, path);
+      scoreDeltas[path] = {
+        before,
+        after,
+        delta: typeof before === 'number' && typeof after === 'number' ? after - before : null
+      };
+    }
+
+    const baselineGaps = this.list(baseline, 'skillsAnalysis.criticalGaps');
+    const revisionGaps = this.list(revision, 'skillsAnalysis.criticalGaps');
+    const revisionMatches = this.list(revision, 'skillsAnalysis.matchingSkills');
+
+    const gaps = {
+      closed: baselineGaps.filter(gap => !this.containsTerm(revisionGaps, gap)),
+      stillOpen: baselineGaps.filter(gap => this.containsTerm(revisionGaps, gap)),
+      introduced: revisionGaps.filter(gap => !this.containsTerm(baselineGaps, gap))
+    };
+    gaps.closedNowMatching = gaps.closed.filter(gap => this.containsTerm(revisionMatches, gap));
+
+    const improvementAreas = { resolved: [], open: [] };
+    const revisionAdvice = this.list(revision, 'improvementAreas');
+    for (const area of this.list(baseline, 'improvementAreas')) {
+      const stillAdvised = revisionAdvice.some(advice => this.similarity(area, advice) >= SIMILARITY_THRESHOLD);
+      const mentionsOpenGap = revisionGaps.some(gap => this.mentions(area, gap));
+      (stillAdvised || mentionsOpenGap ? improvementAreas.open : improvementAreas.resolved).push(area);
+    }
+
+    const overall = scoreDeltas.overallMatchScore.delta;
+
+    return {
+      scoreDeltas,
+      gaps,
+      improvementAreas,
+      verdict: overall === null ? 'unknown' : overall > 0 ? 'improved' : overall < 0 ? 'regressed' : 'unchanged'
+    };
+  },
+
+  valueAt(object, path) {
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object);
+    return typeof value === 'number' ? value : null;
+  },
+
+  list(object, path) {
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object);
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+  },
+
+  normalize(term) {
+    return term.toLowerCase().replace(/[^a-z0-9+#.]+/g, ' ').trim();
+  },
+
+  containsTerm(terms, term) {
+    const wanted = this.normalize(term);
+    return terms.some(candidate => this.normalize(candidate) === wanted);
+  },
+
+  /**
+   * Whether a piece of advice mentions a skill term as a whole word
+   */
+  mentions(text, term) {
+    const wanted = this.normalize(term);
+    return wanted !== '' && ` ${this.normalize(text)} `.includes(` ${wanted} `);
+  },
+
+  significantWords(text) {
+    return new Set(this.normalize(text).split(' ').filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+  },
+
+  /**
+   * Overlap of significant words relative to the shorter item
+   */
+  similarity(a, b) {
+    const wordsA = this.significantWords(a);
+    const wordsB = this.significantWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    for (const word of wordsA) {
+      if (wordsB.has(word)) shared++;
+    }
+    return shared / Math.min(wordsA.size, wordsB.size);
+  }
+};
+
+module.exports = {
+  CV_SCORE_FIELDS,
+  revisionComparer
+};
@@ -0,0 +1,334 @@
+/**
+ * Response schemas for AI analyses plus a small validator/normalizer.
+ *
+ * Schema nodes: { type: 'object', properties }, { type: 'array', items },
+ * { type: 'string' }, { type: 'number', min, max }, { type: 'boolean' }.
+ * Every property is required; `default` overrides the typed default used
+ * when a field is missing or unusable.
+ */
+
+const score = { type: 'number', min: 0, max: 100 };
+const text = { type: 'string' };
+const flag = { type: 'boolean' };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const object = (properties) => ({ type: 'object', properties });
+
+const cvAnalysisSchema = object({
+  overallMatchScore: score,
+  careerStageAlignment: object({
+    score,
+    isAppropriateLevel: flag,
+    stageSpecificInsights: text,
+    growthOpportunity: text
+  }),
+  skillsAnalysis: object({
+    matchingSkills: stringList,
+    criticalGaps: stringList,
+    transferableSkills: stringList,
+    matchPercentage: score
+  }),
+  experienceAlignment: object({
+    relevantExperience: text,
+    levelMatch: flag,
+    industryFit: text
+  }),
+  educationMatch: object({
+    degreeAlignment: score,
+    additionalCertifications: stringList
+  }),
+  topStrengths: stringList,
+  improvementAreas: stringList,
+  careerStageGuidance: object({
+    recommendation: text,
+    nextSteps: stringList,
+    timelineAdvice: text
+  }),
+  applicationReadiness: score
+});
+
+const coverLetterAnalysisSchema = object({
+  overallEffectiveness: score,
+  careerStageAppropriate: object({
+    score,
+    toneAlignment: text,
+    contentLevel: text,
+    growthMindset: text
+  }),
+  contentQuality: object({
+    jobAlignment: score,
+    skillsHighlighted: stringList,
+    companyResearch: score,
+    personalizedElements: stringList
+  }),
+  communicationEffectiveness: object({
+    clarity: score,
+    persuasiveness: score,
+    professionalTone: score
+  }),
+  keyStrengths: stringList,
+  improvements: stringList,
+  careerStageGuidance: object({
+    approach: text,
+    focusAreas: stringList
+  }),
+  actionItems: stringList
+});
+
+// Generated cover letter; each claim cites the 1-based CV line numbers backing it
+const coverLetterDraftSchema = object({
+  salutation: text,
+  paragraphs: {
+    type: 'array',
+    items: object({
+      text,
+      claims: {
+        type: 'array',
+        items: object({
+          statement: text,
+          cvLines: { type: 'array', items: { type: 'number', min: 1 } }
+        })
+      }
+    })
+  },
+  closing: text,
+  emphasizedSkills: object({
+    matching: stringList,
+    transferable: stringList
+  })
+});
+
+// Rewrites of numbered CV bullets aimed at a job
+const cvRewriteSchema = object({
+  suggestions: {
+    type: 'array',
+    items: object({
+      bulletId: { type: 'number', min: 1 },
+      rewrite: text,
+      reason: text,
+      targets: stringList
+    })
+  }
+});
+
+// Suggested career stage for a talent profile built from their CV
+const careerStageSchema = object({
+  careerStage: text,
+  confidence: score,
+  reasoning: text,
+  evidence: stringList
+});
+
+const schemaValidator = {
+  /**
+   * Return a list of human-readable problems ("path: message"); empty when valid.
+   * Numeric strings are accepted for numbers since normalize() coerces them.
+   */
+  validate(value, schema, path = '') {
+    const label = path || 'response';
+
+    if (value === undefined || value === null) {
+      return [`${label}: missing required field`];
+    }
+
+    switch (schema.type) {
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          return [`${label}: expected object, got ${this.describe(value)}`];
+        }
+        return Object.entries(schema.properties).flatMap(([key, child]) =>
+          this.validate(value[key], child, path ? `${path}.${key}` : key)
+        );
+      }
+      case 'array': {
+        if (!Array.isArray(value)) {
+          return [`${label}: expected array, got ${this.describe(value)}`];
+        }
+        return value.flatMap((item, index) => this.validate(item, schema.items, `${label}[${index}]`));
+      }
+      case 'number':
+        return this.toNumber(value) === null ? [`${label}: expected number, got ${this.describe(value)}`] : [];
+      case 'boolean':
+        return typeof value === 'boolean' ? [] : [`${label}: expected boolean, got ${this.describe(value)}`];
+      case 'string':
+        return typeof value === 'string' ? [] : [`${label}: expected string, got ${this.describe(value)}`];
+      default:
+        return [];
+    }
+  },
+
+  /**
+   * Coerce a (possibly partial) value into the schema shape: numbers are parsed and
+   * clamped, missing or mistyped fields get typed defaults, unknown extra fields are kept.
+   */
+  normalize(value, schema) {
+    switch (schema.type) {
+      case 'object': {
+        const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+        const result = {};
+        for (const [key, child] of Object.entries(schema.properties)) {
+          result[key] = this.normalize(source[key], child);
+        }
+        return { ...result, ...this.extraFields(source, schema) };
+      }
+      case 'array':
+        return Array.isArray(value)
+          ? value
+            .map(item => this.normalize(item, schema.items))
+            .filter(item => !(schema.items.type === 'string' && item === ''))
+          : this.defaultFor(schema);
+      case 'number': {
+        const number = this.toNumber(value);
+        if (number === null) return this.defaultFor(schema);
+        const min = schema.min !== undefined ? schema.min : -Infinity;
+        const max = schema.max !== undefined ? schema.max : Infinity;
+        return Math.max(min, Math.min(max, number));
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        return this.defaultFor(schema);
+      case 'string':
+        if (typeof value === 'string') return value.trim();
+        if (typeof value === 'number') return String(value);
+        return this.defaultFor(schema);
+      default:
+        return value;
+    }
+  },
+
+  extraFields(source, schema) {
+    return Object.fromEntries(
+      Object.entries(source).filter(([key]) => !(key in schema.properties))
+    );
+  },
+
+  defaultFor(schema) {
+    if (schema.default !== undefined) {
+      return schema.default;
+    }
+    switch (schema.type) {
+      case 'object': return this.normalize({}, schema);
+      case 'array': return [];
+      case 'number': return schema.min !== undefined ? schema.min : 0;
+      case 'boolean': return false;
+      default: return '';
+    }
+  },
+
+  toNumber(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string' && value.trim() !== '') {
+      const parsed = parseFloat(value.replace(/%$/, ''));
+      return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+  },
+
+  describe(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+};
+
+/**
+ * Tolerant parsing of model output that is supposed to be a JSON object
+ */
+const jsonResponse = {
+  /**
+   * Parse the first JSON object in a model response
+   */
+  parse(text) {
+    return JSON.parse(this.extractAndCleanJSON(text));
+  },
+
+  /**
+   * Extract and clean JSON from AI response. Repairs are applied only outside
+   * string literals so valid text values are never rewritten.
+   */
+  extractAndCleanJSON(text) {
+    try {
+      const unfenced = String(text || '')
+        .replace(/```(?:json)?\s*/gi, '')
+        .trim();
+      
+      const startIndex = unfenced.indexOf('{');
+      const lastIndex = unfenced.lastIndexOf('}');
+      
+      if (startIndex === -1 || lastIndex === -1 || startIndex >= lastIndex) {
+        throw new Error('No valid JSON object found in response');
+      }
+      
+      const candidate = unfenced.substring(startIndex, lastIndex + 1);
+      try {
+        JSON.parse(candidate);
+        return candidate;
+      } catch (parseError) {
+        return this.repairJSON(candidate);
+      }
+    } catch (error) {
+      throw new Error(`Failed to clean JSON: ${error.message}`);
+    }
+  },
+
+  /**
+   * Fix the usual model slips: trailing commas, bare or single-quoted keys and
+   * values, smart quotes and raw control characters inside strings
+   */
+  repairJSON(json) {
+    let output = '';
+    let quote = null;
+
+    for (let i = 0; i < json.length; i++) {
+      const char = json[i];
+
+      if (quote) {
+        if (char === '\\') {
+          output += char + (json[i + 1] || '');
+          i++;
+        } else if (char === quote) {
+          output += '"';
+          quote = null;
+        } else if (char === '"') {
+          output += '\\"';
+        } else if (char === '\n') {
+          output += '\\n';
+        } else if (char === '\r') {
+          output += '\\r';
+        } else if (char === '\t') {
+          output += '\\t';
+        } else {
+          output += char;
+        }
+        continue;
+      }
+
+      if (char === '"' || char === "'" || char === '\u201c' || char === '\u201d') {
+        quote = char === '\u201c' ? '\u201d' : char;
+        output += '"';
+      } else if (char === ',' && /^\s*[}\]]/.test(json.substring(i + 1))) {
+        // drop trailing comma
+      } else if (/[A-Za-z_$]/.test(char) && /[{,]\s*$/.test(output)) {
+        const key = json.substring(i).match(/^[A-Za-z_$][\w$]*/)[0];
+        const isKey = /^\s*:/.test(json.substring(i + key.length));
+        output += isKey ? `"${key}"` : key;
+        i += key.length - 1;
+      } else {
+        output += char;
+      }
+    }
+
+    return output;
+  }
+};
+
+module.exports = {
+  cvAnalysisSchema,
+  coverLetterAnalysisSchema,
+  coverLetterDraftSchema,
+  cvRewriteSchema,
+  careerStageSchema,
+  schemaValidator,
+  jsonResponse
+};
@@ -0,0 +1,152 @@
+/**
+ * Local, explainable overall score
+ *
+ * The score is a weighted average of sub-scores (0-100). Weights come from the
+ * talent's career stage, adjusted by multipliers for the job's seniority level;
+ * components without a usable sub-score are left out and the remaining weights
+ * renormalized. Every component reports its share of the final score.
+ */
+
+const COMPONENTS = [
+  { id: 'skills', label: 'Skills match' },
+  { id: 'degrees', label: 'Degree alignment' },
+  { id: 'seniority', label: 'Seniority fit' },
+  { id: 'careerStage', label: 'Career stage alignment' },
+  { id: 'coverLetter', label: 'Cover letter effectiveness' }
+];
+
+// Seniority sub-score for a candidate above the level's expected range
+const ABOVE_LEVEL_SCORE = 70;
+// Seniority sub-scores when only the model's yes/no level match is available
+const LEVEL_MATCH_SCORES = { true: 100, false: 40 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const scoring = {
+  componentIds: COMPONENTS.map(component => component.id),
+
+  /**
+   * Sub-scores from a (post-processed) CV analysis and an optional cover letter
+   * analysis: { id: { score, source, detail } or { score: null, reason } }
+   */
+  subScores(cv, coverLetter, job) {
+    const engine = cv.skillMatch && cv.skillMatch.engine;
+    const seniority = cv.experienceAlignment && cv.experienceAlignment.seniorityCheck;
+    const llmLevelMatch = cv.experienceAlignment && cv.experienceAlignment.llm
+      ? cv.experienceAlignment.llm.levelMatch
+      : cv.experienceAlignment && cv.experienceAlignment.levelMatch;
+
+    return {
+      skills: engine && engine.coverage !== null
+        ? { score: engine.coverage, source: 'skillMatcher', detail: `${engine.matched.length} of ${engine.matched.length + engine.missing.length} required skills found` }
+        : isScore(cv.skillsAnalysis?.matchPercentage)
+          ? { score: cv.skillsAnalysis.matchPercentage, source: 'model', detail: 'Model estimate; the job lists no skills to match' }
+          : { score: null, reason: 'No skills match available' },
+
+      degrees: !Array.isArray(job.Degrees) || job.Degrees.length === 0
+        ? { score: null, reason: 'The job lists no required degrees' }
+        : isScore(cv.educationMatch?.degreeAlignment)
+          ? { score: cv.educationMatch.degreeAlignment, source: 'model', detail: `Against ${job.Degrees.join(', ')}` }
+          : { score: null, reason: 'No degree alignment available' },
+
+      seniority: this.senioritySubScore(seniority, llmLevelMatch),
+
+      careerStage: isScore(cv.careerStageAlignment?.score)
+        ? { score: cv.careerStageAlignment.score, source: 'model', detail: cv.careerStageAlignment.stageSpecificInsights || null }
+        : { score: null, reason: 'No career stage alignment available' },
+
+      coverLetter: !coverLetter
+        ? { score: null, reason: 'No cover letter analyzed' }
+        : isScore(coverLetter.overallEffectiveness)
+          ? { score: coverLetter.overallEffectiveness, source: 'model', detail: null }
+          : { score: null, reason: 'No cover letter score available' }
+    };
+  },
+
+  /**
+   * Seniority fit from the computed years of experience, else from the model's
+   * level match
+   */
+  senioritySubScore(check, llmLevelMatch) {
+    if (check && check.fit !== 'unknown') {
+      const { min, max } = check.expectedYears;
+      const range = max !== null ? `${min}-${max}` : `${min}+`;
+      const detail = `${check.candidateYears} years of experience; ${check.jobLevel} roles expect ${range}`;
+      if (check.fit === 'within') return { score: 100, source: 'cvParser', detail };
+      if (check.fit === 'above') return { score: ABOVE_LEVEL_SCORE, source: 'cvParser', detail };
+      return { score: Math.round(100 * check.candidateYears / min), source: 'cvParser', detail };
+    }
+    if (typeof llmLevelMatch === 'boolean') {
+      return {
+        score: LEVEL_MATCH_SCORES[llmLevelMatch],
+        source: 'model',
+        detail: llmLevelMatch ? 'Model judged the level a match' : 'Model judged the level a mismatch'
+      };
+    }
+    return { score: null, reason: 'Seniority fit could not be determined' };
+  },
+
+  /**
+   * Stage weights multiplied by the first seniority rule whose pattern matches
+   * the job's seniorityLevel. Resolves to { weights, seniorityRule }.
+   */
+  weightsFor(stageWeights, seniorityLevel, seniorityRules = []) {
+    const rule = seniorityRules.find(candidate => candidate.levels.test(String(seniorityLevel || ''))) || null;
+    const weights = Object.fromEntries(this.componentIds.map(id => [
+      id,
+      Math.round((stageWeights[id] || 0) * (rule && rule.multipliers[id] !== undefined ? rule.multipliers[id] : 1) * 1000) / 1000
+    ]));
+    return { weights, seniorityRule: rule ? rule.name : null };
+  },
+
+  /**
+   * Weighted score with its breakdown:
+   * { score, components: [{ id, label, score, weight, contribution, source, detail }],
+   *   excluded: [{ id, label, reason }] }
+   * where weights are normalized over the included components and the
+   * contributions add up to the score (before rounding).
+   */
+  score(subScores, weights) {
+    const available = COMPONENTS.filter(component => subScores[component.id].score !== null && weights[component.id] > 0);
+    const totalWeight = available.reduce((total, component) => total + weights[component.id], 0);
+
+    const components = available.map(component => {
+      const { score, source, detail } = subScores[component.id];
+      const weight = weights[component.id] / totalWeight;
+      return { id: component.id, label: component.label, score, weight: Math.round(weight * 1000) / 1000, contribution: round1(score * weight), source, detail };
+    });
+    const excluded = COMPONENTS
+      .filter(component => !available.includes(component))
+      .map(component => ({
+        id: component.id,
+        label: component.label,
+        reason: subScores[component.id].reason || 'Weight is zero for this career stage and seniority'
+      }));
+
+    const total = available.reduce((sum, component) => sum + subScores[component.id].score * (weights[component.id] / totalWeight), 0);
+    return {
+      score: available.length ? Math.round(total) : null,
+      components,
+      excluded
+    };
+  },
+
+  /**
+   * Replace a CV analysis's overallMatchScore with the local score (cover letter
+   * excluded) and attach the breakdown; the model's score is kept under llm.
+   * applicationReadiness is not recomputed and stays model-generated.
+   */
+  applyToAnalysis(analysis, { job, weighting }) {
+    const breakdown = this.score(this.subScores(analysis, null, job), weighting.weights);
+    return {
+      ...analysis,
+      overallMatchScore: breakdown.score !== null ? breakdown.score : analysis.overallMatchScore,
+      scoreBreakdown: { ...breakdown, weighting, llm: { overallMatchScore: analysis.overallMatchScore } }
+    };
+  }
+};
+
+module.exports = {
+  scoring
+};
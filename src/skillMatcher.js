@@ -0,0 +1,353 @@
+const taxonomy = require('./skillTaxonomy.json');
+
+// Minimum edit-distance similarity (0-1) for a fuzzy skill match
+const FUZZY_THRESHOLD = 0.85;
+// Terms this short are too ambiguous to fuzzy-match or to find case-insensitively in prose
+const SHORT_TERM_LENGTH = 3;
+
+/**
+ * Lookup key for a skill term: lowercase with spaces, hyphens and underscores collapsed
+ */
+function skillKey(term) {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/[\s\-_]+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// alias key -> canonical name, and canonical name -> terms to look for in prose.
+// Entries marked scanText: false (Go, C, R) are ordinary words, so only their
+// unambiguous aliases are looked for; see literalJobTerm for the bare name.
+// Names marked commonWord (Excel, Swift, ...) are also English words and are
+// only found capitalized and not used as a verb or adjective ("excel at").
+const aliasIndex = new Map();
+const textTerms = new Map();
+const ambiguousNames = new Set();
+const commonWordNames = new Set();
+const patternCache = new Map();
+
+for (const entry of taxonomy.skills) {
+  const terms = [entry.name, ...(entry.aliases || [])];
+  for (const term of terms) {
+    aliasIndex.set(skillKey(term), entry.name);
+  }
+  if (entry.commonWord) {
+    commonWordNames.add(entry.name);
+  }
+  if (entry.scanText === false) {
+    ambiguousNames.add(entry.name);
+    textTerms.set(entry.name, entry.aliases || []);
+  } else {
+    textTerms.set(entry.name, terms);
+  }
+}
+
+// Characters that may not touch a term: "Node.js" does not mention "JS"
+const BOUNDARIES = ['(?<![\\p{L}\\p{N}+#.])', '(?![\\p{L}\\p{N}+#]|\\.[\\p{L}\\p{N}])'];
+// Short terms are not part of hyphenated words either: "Go-live", "C-suite"
+const SHORT_BOUNDARIES = ['(?<![\\p{L}\\p{N}+#.-])', '(?![\\p{L}\\p{N}+#]|[.-][\\p{L}\\p{N}])'];
+// A common-word skill followed by one of these is the word, not the skill
+const COMMON_WORD_USE = '(?!\\s+(?:at|in|on|to|with|for|from|of|yourself|myself)\\b)';
+// "Label:" right before a bare ambiguous name ("Grade: C") marks a value, unless it labels skills
+const LABEL_BEFORE = /(\p{L}+)\s*:\s*$/u;
+const SKILL_LABELS = /^(?:skills?|languages?|technologies|tools|stack|programming|proficient|proficiency|expertise|competencies)$/i;
+
+/**
+ * Deterministic skill normalization and matching against job requirements
+ */
+const skillMatcher = {
+  /**
+   * Map a skill term to its canonical taxonomy name
+   */
+  canonicalize(term) {
+    const key = skillKey(term);
+    const canonical = aliasIndex.get(key);
+    if (canonical) {
+      return { canonical, known: true, viaAlias: skillKey(canonical) !== key };
+    }
+    return { canonical: String(term || '').trim(), known: false, viaAlias: false };
+  },
+
+  /**
+   * Build a regex finding a skill term as a whole token in prose. Short terms
+   * only match as written, upper-cased or capitalized to avoid hits on ordinary
+   * words; common-word skill names only match as the taxonomy writes them.
+   */
+  termPattern(term) {
+    if (patternCache.has(term)) {
+      return patternCache.get(term);
+    }
+
+    const body = escapeRegExp(term.trim()).replace(/\s+/g, '[\\s-]+');
+
+    let pattern;
+    if (term.length <= SHORT_TERM_LENGTH) {
+      const variants = new Set([term, term.toUpperCase(), term.charAt(0).toUpperCase() + term.slice(1)]);
+      pattern = new RegExp(`${SHORT_BOUNDARIES[0]}(?:${[...variants].map(escapeRegExp).join('|')})${SHORT_BOUNDARIES[1]}`, 'u');
+    } else if (commonWordNames.has(term)) {
+      pattern = new RegExp(`${BOUNDARIES[0]}${body}${BOUNDARIES[1]}${COMMON_WORD_USE}`, 'u');
+    } else {
+      pattern = new RegExp(`${BOUNDARIES[0]}${body}${BOUNDARIES[1]}`, 'iu');
+    }
+
+    patternCache.set(term, pattern);
+    return pattern;
+  },
+
+  /**
+   * Positions of every match of a pattern in a text: [{ start, end }]
+   */
+  spans(text, pattern) {
+    const global = new RegExp(pattern.source, `${pattern.flags}g`);
+    return [...text.matchAll(global)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+  },
+
+  /**
+   * Find taxonomy skills (and any extra literal terms) mentioned in a text.
+   * Returns Map canonical -> Set of terms that matched.
+   */
+  scanText(text, extraTerms = []) {
+    const found = new Map();
+    if (!text) return found;
+
+    // { canonical, term, start, end } for every occurrence
+    const hits = [];
+    const collect = (canonical, term, spans) => {
+      spans.forEach(span => hits.push({ canonical, term, ...span }));
+    };
+
+    for (const [canonical, terms] of textTerms) {
+      for (const term of terms) {
+        collect(canonical, term, this.spans(text, this.termPattern(term)));
+      }
+    }
+
+    for (const term of extraTerms) {
+      const { canonical, known } = this.canonicalize(term);
+      if (!known && term.trim()) {
+        collect(canonical, term.trim(), this.spans(text, this.termPattern(term)));
+      } else if (this.literalJobTerm(term, canonical)) {
+        const spans = this.spans(text, this.literalPattern(term))
+          .filter(span => !this.followsValueLabel(text, span.start));
+        collect(canonical, term.trim(), spans);
+      }
+    }
+
+    // An occurrence inside a longer one of another skill is part of that
+    // skill: "React Native" does not also mention React
+    for (const hit of hits) {
+      const covered = hits.some(other => other.canonical !== hit.canonical &&
+        other.start <= hit.start && other.end >= hit.end && other.end - other.start > hit.end - hit.start);
+      if (covered) continue;
+      if (!found.has(hit.canonical)) found.set(hit.canonical, new Set());
+      found.get(hit.canonical).add(hit.term);
+    }
+
+    return found;
+  },
+
+  /**
+   * Whether the text before `index` ends in a label other than a skills
+   * heading ("Grade: ")
+   */
+  followsValueLabel(text, index) {
+    const label = text.substring(Math.max(0, index - 40), index).match(LABEL_BEFORE);
+    return !!label && !SKILL_LABELS.test(label[1]);
+  },
+
+  /**
+   * Whether a job term names an ambiguous skill by its bare name ("Go", not
+   * "golang"); such terms are only found in prose exactly as the job writes them
+   */
+  literalJobTerm(term, canonical) {
+    return ambiguousNames.has(canonical) && skillKey(term) === skillKey(canonical);
+  },
+
+  /**
+   * Case-sensitive whole-token pattern for a term as written
+   */
+  literalPattern(term) {
+    const key = `literal:${term}`;
+    if (!patternCache.has(key)) {
+      patternCache.set(key, new RegExp(`${SHORT_BOUNDARIES[0]}${escapeRegExp(term.trim())}${SHORT_BOUNDARIES[1]}`, 'u'));
+    }
+    return patternCache.get(key);
+  },
+
+  /**
+   * Compare CV text and profile skills against the job's required skills
+   */
+  match(jobSkills, { cvText = '', profileSkills = [] } = {}) {
+    const required = (Array.isArray(jobSkills) ? jobSkills : [])
+      .filter(skill => typeof skill === 'string' && skill.trim());
+
+    // canonical -> { sources, terms }
+    const candidates = new Map();
+    const addCandidate = (canonical, source, term) => {
+      if (!candidates.has(canonical)) candidates.set(canonical, { sources: new Set(), terms: new Set() });
+      candidates.get(canonical).sources.add(source);
+      candidates.get(canonical).terms.add(term);
+    };
+
+    for (const [canonical, terms] of this.scanText(cvText, required)) {
+      terms.forEach(term => addCandidate(canonical, 'cv', term));
+    }
+    for (const skill of (Array.isArray(profileSkills) ? profileSkills : [])) {
+      if (typeof skill === 'string' && skill.trim()) {
+        addCandidate(this.canonicalize(skill).canonical, 'profile', skill.trim());
+      }
+    }
+
+    const matched = [];
+    const missing = [];
+
+    for (const jobSkill of required) {
+      const { canonical } = this.canonicalize(jobSkill);
+      const candidate = candidates.get(canonical) || this.findCaseInsensitive(candidates, canonical);
+
+      if (candidate) {
+        const exact = [...candidate.terms].some(term => skillKey(term) === skillKey(jobSkill));
+        matched.push({
+          skill: jobSkill,
+          canonical,
+          matchType: exact ? 'exact' : 'synonym',
+          matchedTerms: [...candidate.terms],
+          sources: [...candidate.sources]
+        });
+        continue;
+      }
+
+      const fuzzy = this.bestFuzzyMatch(canonical, candidates);
+      if (fuzzy) {
+        matched.push({
+          skill: jobSkill,
+          canonical,
+          matchType: 'fuzzy',
+          similarity: Math.round(fuzzy.similarity * 100) / 100,
+          matchedTerms: [...fuzzy.candidate.terms],
+          sources: [...fuzzy.candidate.sources]
+        });
+      } else {
+        missing.push(jobSkill);
+      }
+    }
+
+    return {
+      matched,
+      missing,
+      coverage: required.length ? Math.round((matched.length / required.length) * 100) : null,
+      candidateSkills: [...candidates.keys()].sort()
+    };
+  },
+
+  findCaseInsensitive(candidates, canonical) {
+    const key = skillKey(canonical);
+    for (const [name, candidate] of candidates) {
+      if (skillKey(name) === key) return candidate;
+    }
+    return null;
+  },
+
+  bestFuzzyMatch(canonical, candidates) {
+    if (canonical.length <= SHORT_TERM_LENGTH) return null;
+
+    let best = null;
+    for (const [name, candidate] of candidates) {
+      for (const term of [name, ...candidate.terms]) {
+        if (term.length <= SHORT_TERM_LENGTH) continue;
+        const similarity = this.similarity(skillKey(canonical), skillKey(term));
+        if (similarity >= FUZZY_THRESHOLD && (!best || similarity > best.similarity)) {
+          best = { similarity, candidate };
+        }
+      }
+    }
+    return best;
+  },
+
+  /**
+   * Normalized Levenshtein similarity between two strings (1 = identical)
+   */
+  similarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  },
+
+  /**
+   * Reconcile the LLM's matching skills and gaps with the deterministic match
+   */
+  reconcile(llmSkills, engine) {
+    const matchedCanonicals = new Set(engine.matched.map(item => skillKey(item.canonical)));
+    const missingCanonicals = new Set(engine.missing.map(skill => skillKey(this.canonicalize(skill).canonical)));
+    const evidenced = new Set(engine.candidateSkills.map(skillKey));
+    const canonicalKey = (skill) => skillKey(this.canonicalize(skill).canonical);
+
+    const claims = (llmSkills.matchingSkills || []).filter(skill => typeof skill === 'string');
+    const gaps = (llmSkills.criticalGaps || []).filter(skill => typeof skill === 'string');
+    const llmGapKeys = new Set(gaps.map(canonicalKey));
+
+    return {
+      confirmedMatches: claims.filter(skill => matchedCanonicals.has(canonicalKey(skill))),
+      evidencedExtraSkills: claims.filter(skill =>
+        !matchedCanonicals.has(canonicalKey(skill)) && evidenced.has(canonicalKey(skill))),
+      unsupportedClaims: claims.filter(skill => !evidenced.has(canonicalKey(skill))),
+      agreedGaps: gaps.filter(skill => missingCanonicals.has(canonicalKey(skill))),
+      disputedGaps: gaps.filter(skill => matchedCanonicals.has(canonicalKey(skill)) || evidenced.has(canonicalKey(skill))),
+      additionalLlmGaps: gaps.filter(skill =>
+        !missingCanonicals.has(canonicalKey(skill)) && !matchedCanonicals.has(canonicalKey(skill)) && !evidenced.has(canonicalKey(skill))),
+      missedGaps: engine.missing.filter(skill => !llmGapKeys.has(canonicalKey(skill)))
+    };
+  },
+
+  /**
+   * Attach the deterministic match to a CV analysis. When the job lists skills,
+   * matchingSkills, criticalGaps and matchPercentage are replaced by the
+   * deterministic results and the LLM's originals are kept under skillMatch.llm.
+   */
+  applyToAnalysis(analysis, { cvText, talent, job }) {
+    const engine = this.match(job.skills, { cvText, profileSkills: talent.skills });
+    const llmSkills = analysis.skillsAnalysis || {};
+
+    if (engine.coverage === null) {
+      return { ...analysis, skillMatch: { engine, reconciliation: null, llm: null } };
+    }
+
+    return {
+      ...analysis,
+      skillsAnalysis: {
+        ...llmSkills,
+        matchingSkills: engine.matched.map(item => item.skill),
+        criticalGaps: engine.missing,
+        matchPercentage: engine.coverage
+      },
+      skillMatch: {
+        engine,
+        reconciliation: this.reconcile(llmSkills, engine),
+        llm: {
+          matchingSkills: llmSkills.matchingSkills || [],
+          criticalGaps: llmSkills.criticalGaps || [],
+          matchPercentage: llmSkills.matchPercentage
+        }
+      }
+    };
+  }
+};
+
+module.exports = {
+  skillKey,
+  skillMatcher
+};
@@ -0,0 +1,560 @@
+const zlib = require('zlib');
+
+// Extracted text shorter than this is treated as a failed extraction
+const MIN_TEXT_LENGTH = 50;
+// Upper bound for any single inflated ZIP entry or PDF stream (decompression bombs)
+const MAX_INFLATED_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Minimal ZIP archive reader (enough for OOXML documents)
+ */
+const zipReader = {
+  /**
+   * List the entries of a ZIP archive from its central directory
+   */
+  readEntries(buffer) {
+    const eocdOffset = this.findEndOfCentralDirectory(buffer);
+    if (eocdOffset === -1) {
+      throw new Error('Not a valid ZIP archive');
+    }
+
+    const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+    let offset = buffer.readUInt32LE(eocdOffset + 16);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+
+      entries.push({
+        name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+        flags: buffer.readUInt16LE(offset + 8),
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        uncompressedSize: buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: buffer.readUInt32LE(offset + 42)
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  },
+
+  /**
+   * Locate the end-of-central-directory record, scanning back over a trailing comment
+   */
+  findEndOfCentralDirectory(buffer) {
+    const lowerBound = Math.max(0, buffer.length - 65557);
+    for (let offset = buffer.length - 22; offset >= lowerBound; offset--) {
+      if (buffer.readUInt32LE(offset) === 0x06054b50) {
+        return offset;
+      }
+    }
+    return -1;
+  },
+
+  /**
+   * Read and decompress a single entry
+   */
+  readEntry(buffer, entry) {
+    const headerOffset = entry.localHeaderOffset;
+    if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== 0x04034b50) {
+      throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+    }
+
+    const dataStart = headerOffset + 30 +
+      buffer.readUInt16LE(headerOffset + 26) +
+      buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method === 8) {
+      // Never inflate beyond the size the central directory declares
+      return zlib.inflateRawSync(data, { maxOutputLength: Math.min(MAX_INFLATED_SIZE, Math.max(1, entry.uncompressedSize)) });
+    }
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+  }
+};
+
+/**
+ * DOCX (Office Open XML) text extraction
+ */
+const docxParser = {
+  /**
+   * Extract paragraph text from word/document.xml
+   */
+  extractText(buffer) {
+    const entries = zipReader.readEntries(buffer);
+    const documentEntry = entries.find(entry => entry.name === 'word/document.xml');
+
+    if (!documentEntry) {
+      throw new Error('DOCX archive has no word/document.xml');
+    }
+
+    const xml = zipReader.readEntry(buffer, documentEntry).toString('utf8');
+    return this.xmlToText(xml);
+  },
+
+  /**
+   * Convert WordprocessingML markup to plain text, one paragraph per line
+   */
+  xmlToText(xml) {
+    const body = xml
+      .replace(/<w:tab\/>/g, '\t')
+      .replace(/<w:(br|cr)\/>/g, '\n')
+      .replace(/<\/w:p>/g, '\n')
+      .replace(/<\/w:tc>/g, '\t');
+
+    let text = '';
+    const tokenPattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|(\t|\n)/g;
+    let match;
+    while ((match = tokenPattern.exec(body)) !== null) {
+      text += match[1] !== undefined ? match[1] : match[2];
+    }
+
+    return this.decodeEntities(text)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+      .replace(/&#x([0-9a-fA-F]+);/g, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&amp;/g, '&');
+  }
+};
+
+/**
+ * Text-layer extraction for PDFs. Handles uncompressed and FlateDecode content
+ * streams with simple font encodings; anything else (scans, CID fonts) yields
+ * unreadable text and is left to the vision fallback.
+ */
+const pdfParser = {
+  /**
+   * Parse a PDF into per-page text
+   */
+  parse(buffer) {
+    const source = buffer.toString('latin1');
+
+    if (!source.startsWith('%PDF-')) {
+      throw new Error('Not a valid PDF file');
+    }
+
+    const objects = this.readObjects(source, buffer);
+    const pageObjects = this.orderedPages(objects);
+
+    let pages;
+    if (pageObjects.length > 0) {
+      pages = pageObjects.map(page => ({
+        text: this.contentRefs(page.dict)
+          .map(ref => objects.get(ref))
+          .filter(Boolean)
+          .map(obj => this.contentToText(this.decodeStream(obj)))
+          .join('\n')
+          .trim()
+      }));
+    } else {
+      // No page tree found: fall back to every stream that looks like page content
+      const text = [...objects.values()]
+        .filter(obj => obj.stream && !/\/(Subtype\s*\/Image|Length1|Type\s*\/(XRef|ObjStm|Metadata))/.test(obj.dict))
+        .map(obj => this.contentToText(this.decodeStream(obj)))
+        .join('\n')
+        .trim();
+      pages = [{ text }];
+    }
+
+    return {
+      encrypted: /\/Encrypt\s+\d+\s+\d+\s+R/.test(source),
+      pageCount: pages.length,
+      pages,
+      text: pages.map(page => page.text).join('\n\n').trim()
+    };
+  },
+
+  /**
+   * Collect indirect objects, including those packed into object streams
+   */
+  readObjects(source, buffer) {
+    const objects = new Map();
+    const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(source)) !== null) {
+      const bodyStart = match.index + match[0].length;
+      const endIndex = source.indexOf('endobj', bodyStart);
+      if (endIndex === -1) break;
+
+      const body = source.substring(bodyStart, endIndex);
+      const streamIndex = body.search(/\bstream\r?\n/);
+      const obj = { dict: streamIndex === -1 ? body : body.substring(0, streamIndex), stream: null };
+
+      if (streamIndex !== -1) {
+        const dataStart = bodyStart + streamIndex + body.substring(streamIndex).match(/^stream\r?\n/)[0].length;
+        const dataEnd = source.lastIndexOf('endstream', endIndex);
+        obj.stream = buffer.subarray(dataStart, dataEnd).subarray(0, this.declaredLength(obj.dict, dataEnd - dataStart));
+      }
+
+      objects.set(`${match[1]} ${match[2]}`, obj);
+      objectPattern.lastIndex = endIndex;
+    }
+
+    for (const obj of [...objects.values()]) {
+      if (obj.stream && /\/Type\s*\/ObjStm/.test(obj.dict)) {
+        this.unpackObjectStream(obj, objects);
+      }
+    }
+
+    return objects;
+  },
+
+  declaredLength(dict, available) {
+    const lengthMatch = dict.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/);
+    const length = lengthMatch ? parseInt(lengthMatch[1], 10) : available;
+    return Math.min(length, available);
+  },
+
+  unpackObjectStream(obj, objects) {
+    const data = this.decodeStream(obj).toString('latin1');
+    const count = parseInt((obj.dict.match(/\/N\s+(\d+)/) || [])[1], 10) || 0;
+    const first = parseInt((obj.dict.match(/\/First\s+(\d+)/) || [])[1], 10) || 0;
+    const header = data.substring(0, first).trim().split(/\s+/).map(Number);
+
+    for (let i = 0; i < count; i++) {
+      const objectNumber = header[i * 2];
+      const start = first + header[i * 2 + 1];
+      const end = i + 1 < count ? first + header[(i + 1) * 2 + 1] : data.length;
+      const key = `${objectNumber} 0`;
+      if (!objects.has(key)) {
+        objects.set(key, { dict: data.substring(start, end), stream: null });
+      }
+    }
+  },
+
+  decodeStream(obj) {
+    if (!obj.stream) return Buffer.alloc(0);
+    if (!/\/Filter/.test(obj.dict)) return obj.stream;
+    if (!/\/Filter\s*\[?\s*\/FlateDecode\s*\]?/.test(obj.dict)) return Buffer.alloc(0);
+
+    try {
+      return zlib.inflateSync(obj.stream, { maxOutputLength: MAX_INFLATED_SIZE });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        return Buffer.alloc(0);
+      }
+      try {
+        // Some producers write truncated streams; salvage what inflates
+        return zlib.inflateSync(obj.stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: MAX_INFLATED_SIZE });
+      } catch (retryError) {
+        return Buffer.alloc(0);
+      }
+    }
+  },
+
+  /**
+   * Walk the page tree from the root /Pages node so pages come out in reading order
+   */
+  orderedPages(objects) {
+    const entries = [...objects.entries()];
+    const root = entries.find(([, obj]) => /\/Type\s*\/Pages\b/.test(obj.dict) && !/\/Parent\s+\d+\s+\d+\s+R/.test(obj.dict));
+
+    if (!root) {
+      return entries
+        .filter(([, obj]) => /\/Type\s*\/Page\b/.test(obj.dict))
+        .map(([, obj]) => obj);
+    }
+
+    const pages = [];
+    const visited = new Set();
+    const walk = (key) => {
+      const node = objects.get(key);
+      if (!node || visited.has(key)) return;
+      visited.add(key);
+
+      if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+        const kids = (node.dict.match(/\/Kids\s*\[([^\]]*)\]/) || [])[1] || '';
+        for (const ref of kids.matchAll(/(\d+)\s+(\d+)\s+R/g)) {
+          walk(`${ref[1]} ${ref[2]}`);
+        }
+      } else {
+        pages.push(node);
+      }
+    };
+    walk(root[0]);
+
+    return pages;
+  },
+
+  contentRefs(dict) {
+    const contents = dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+    if (!contents) return [];
+    return [...contents[1].matchAll(/(\d+)\s+(\d+)\s+R/g)].map(ref => `${ref[1]} ${ref[2]}`);
+  },
+
+  /**
+   * Interpret the text-showing operators of a content stream
+   */
+  contentToText(content) {
+    const tokens = this.tokenize(content.toString('latin1'));
+    const operands = [];
+    let text = '';
+    let lastY = null;
+
+    const newLine = () => {
+      if (text && !text.endsWith('\n')) text += '\n';
+    };
+
+    for (const token of tokens) {
+      if (token.type !== 'operator') {
+        operands.push(token);
+        continue;
+      }
+
+      switch (token.value) {
+        case 'Tj':
+          text += this.stringValue(operands[operands.length - 1]);
+          break;
+        case "'":
+        case '"':
+          newLine();
+          text += this.stringValue(operands[operands.length - 1]);
+          break;
+        case 'TJ': {
+          const array = operands[operands.length - 1];
+          for (const item of (array && array.items) || []) {
+            if (item.type === 'number') {
+              if (item.value < -200) text += ' ';
+            } else {
+              text += this.stringValue(item);
+            }
+          }
+          break;
+        }
+        case 'Td':
+        case 'TD': {
+          const ty = operands[operands.length - 1];
+          const tx = operands[operands.length - 2];
+          if (ty && ty.value !== 0) {
+            newLine();
+          } else if (tx && tx.value > 0 && !/\s$/.test(text)) {
+            text += ' ';
+          }
+          break;
+        }
+        case 'Tm': {
+          const y = operands[operands.length - 1] && operands[operands.length - 1].value;
+          if (lastY !== null && y !== lastY) {
+            newLine();
+          } else if (text && !/\s$/.test(text)) {
+            text += ' ';
+          }
+          lastY = y;
+          break;
+        }
+        case 'T*':
+          newLine();
+          break;
+        case 'ET':
+          newLine();
+          break;
+        default:
+          break;
+      }
+      operands.length = 0;
+    }
+
+    return text;
+  },
+
+  stringValue(token) {
+    return token && token.type === 'string' ? token.value : '';
+  },
+
+  /**
+   * Split a content stream into strings, numbers, arrays and operators
+   */
+  tokenize(source) {
+    const tokens = [];
+    const stack = [tokens];
+    let i = 0;
+
+    const push = (token) => stack[stack.length - 1].push(token);
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '%') {
+        while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+      } else if (char === '(') {
+        const { value, end } = this.readLiteralString(source, i);
+        push({ type: 'string', value });
+        i = end;
+      } else if (char === '<' && source[i + 1] === '<') {
+        push({ type: 'dict' });
+        i += 2;
+      } else if (char === '>' && source[i + 1] === '>') {
+        i += 2;
+      } else if (char === '<') {
+        const end = source.indexOf('>', i);
+        const hex = source.substring(i + 1, end === -1 ? source.length : end).replace(/\s/g, '');
+        push({ type: 'string', value: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') });
+        i = end === -1 ? source.length : end + 1;
+      } else if (char === '[') {
+        const array = { type: 'array', items: [] };
+        push(array);
+        stack.push(array.items);
+        i++;
+      } else if (char === ']') {
+        if (stack.length > 1) stack.pop();
+        i++;
+      } else if (char === '/') {
+        const match = source.substring(i).match(/^\/[^\s/<>[\]()%]*/);
+        push({ type: 'name', value: match[0] });
+        i += match[0].length;
+      } else {
+        const match = source.substring(i, i + 64).match(/^[^\s/<>[\]()%]+/);
+        const word = match ? match[0] : char;
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+          push({ type: 'number', value: parseFloat(word) });
+        } else {
+          push({ type: 'operator', value: word });
+        }
+        i += word.length;
+      }
+    }
+
+    return tokens;
+  },
+
+  readLiteralString(source, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    let value = '';
+    let depth = 1;
+    let i = start + 1;
+
+    while (i < source.length && depth > 0) {
+      const char = source[i];
+      if (char === '\\') {
+        const next = source[i + 1];
+        if (escapes[next] !== undefined) {
+          value += escapes[next];
+          i += 2;
+        } else if (/[0-7]/.test(next)) {
+          const octal = source.substring(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+          value += String.fromCharCode(parseInt(octal, 8));
+          i += 1 + octal.length;
+        } else {
+          // Line continuation or unknown escape: drop the backslash
+          i += next === '\r' && source[i + 2] === '\n' ? 3 : 2;
+        }
+      } else {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth > 0) value += char;
+        i++;
+      }
+    }
+
+    return { value, end: i };
+  }
+};
+
+/**
+ * Local extraction entry point
+ */
+const textExtractor = {
+  /**
+   * Extract text without calling the model. Returns null when the document needs
+   * OCR (images, scanned or unreadable PDFs) or the format isn't handled locally.
+   */
+  extract(buffer, extension) {
+    let text;
+
+    switch (extension) {
+      case '.txt':
+        text = this.decodePlainText(buffer);
+        break;
+      case '.docx':
+        text = docxParser.extractText(buffer);
+        break;
+      case '.pdf': {
+        const pdf = pdfParser.parse(buffer);
+        if (pdf.encrypted) return null;
+        text = pdf.text;
+        break;
+      }
+      default:
+        return null;
+    }
+
+    text = this.normalizeWhitespace(text);
+    if (!this.isReadableText(text)) {
+      return null;
+    }
+
+    return { text, source: `local-${extension.substring(1)}` };
+  },
+
+  decodePlainText(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return buffer.subarray(2).toString('utf16le');
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      // swap16() needs whole code units; a trailing odd byte is dropped
+      const body = buffer.subarray(2);
+      const swapped = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+      return swapped.swap16().toString('utf16le');
+    }
+    return buffer.toString('utf8').replace(/^\ufeff/, '');
+  },
+
+  normalizeWhitespace(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  /**
+   * Reject text that is too short or mostly glyph noise (e.g. CID-encoded PDFs)
+   */
+  isReadableText(text) {
+    if (!text || text.length < MIN_TEXT_LENGTH) {
+      return false;
+    }
+
+    const visible = text.replace(/\s/g, '');
+    const readable = visible.match(/[\p{L}\p{N}\p{P}\p{S}]/gu) || [];
+    const letters = visible.match(/\p{L}/gu) || [];
+    const controlChars = visible.match(/[\u0000-\u001f\u007f-\u009f\ufffd]/g) || [];
+
+    return readable.length / visible.length >= 0.9 &&
+      letters.length / visible.length >= 0.5 &&
+      controlChars.length / visible.length < 0.02;
+  }
+};
+
+module.exports = {
+  MIN_TEXT_LENGTH,
+  textExtractor,
+  pdfParser,
+  docxParser,
+  zipReader
+};
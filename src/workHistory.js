@@ -0,0 +1,130 @@
+/**
+ * Date ranges and role lines in work history, shared by the CV parser and the
+ * cross-document consistency check
+ */
+
+const MONTH_NUMBERS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+|(\\d{1,2})[/.])?((?:19|20)\\d{2})`;
+// Groups: start month name, start month number, start year, then the same for the end, or an open end
+const DATE_RANGE = new RegExp(`${DATE}\\s*(?:-|–|—|to|until)\\s*(?:${DATE}|(present|current|now|date|today))`, 'gi');
+
+// Words that mark a line or phrase as a job title
+const TITLE_WORDS = 'engineer|developer|manager|analyst|designer|consultant|intern|lead|director|specialist|officer|assistant|administrator|architect|scientist|coordinator|accountant|associate|executive|technician|teacher|lecturer|nurse|head|supervisor|representative|agent|clerk|trainee|researcher|programmer|tester|writer|editor|advisor|adviser|founder|fellow|tutor|volunteer';
+const TITLE = new RegExp(`\\b(?:${TITLE_WORDS})s?\\b`, 'i');
+
+const workHistory = {
+  titleWords: TITLE_WORDS,
+
+  /**
+   * Date ranges in a line, in order: { startDate, endDate, current, startIndex,
+   * endIndex, match } with dates as 'YYYY-MM' (or 'YYYY' when no month is
+   * given) and month indexes for span arithmetic. Ranges ending before they
+   * start are skipped.
+   */
+  ranges(line, now = new Date()) {
+    const point = (monthName, monthNumber, year) => {
+      const month = monthName ? MONTH_NUMBERS[monthName.toLowerCase().substring(0, 3)] : monthNumber ? Number(monthNumber) : null;
+      return { year: Number(year), month: month >= 1 && month <= 12 ? month : null };
+    };
+    const format = ({ year, month }) => (month ? `${year}-${String(month).padStart(2, '0')}` : String(year));
+
+    const ranges = [];
+    for (const match of String(line).matchAll(DATE_RANGE)) {
+      const start = point(match[1], match[2], match[3]);
+      const current = !!match[7];
+      const end = current
+        ? { year: now.getFullYear(), month: now.getMonth() + 1 }
+        : point(match[4], match[5], match[6]);
+
+      const startIndex = (start.year * 12) + (start.month || 1) - 1;
+      const endIndex = (end.year * 12) + (end.month || 1) - 1;
+      if (endIndex < startIndex) continue;
+
+      ranges.push({
+        startDate: format(start),
+        endDate: current ? null : format(end),
+        current,
+        startIndex,
+        endIndex,
+        match: match[0]
+      });
+    }
+    return ranges;
+  },
+
+  /**
+   * First date range in a line, or null
+   */
+  parseRange(line, now = new Date()) {
+    return this.ranges(line, now)[0] || null;
+  },
+
+  /**
+   * A line with its date range (and the brackets or separators around it) removed
+   */
+  withoutRange(line, range) {
+    return line
+      .replace(range.match, ' ')
+      .replace(/\(\s*\)|\[\s*\]/g, ' ')
+      .replace(/^[\s,|–—-]+|[\s,|–—(-]+$/g, '')
+      .trim();
+  },
+
+  /**
+   * Title and employer from a role's header lines ("Engineer at Acme",
+   * "Engineer, Acme | Nairobi", or title and employer on separate lines)
+   */
+  splitHeader(parts) {
+    let pieces;
+    if (parts.length === 1) {
+      const atMatch = parts[0].match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+      if (atMatch) {
+        return { title: atMatch[1].trim(), employer: this.stripLocation(atMatch[2]) };
+      }
+      pieces = parts[0].split(/\s*(?:,|\||\s[-–—]\s)\s*/).filter(Boolean);
+    } else {
+      pieces = parts;
+    }
+    if (pieces.length === 0) {
+      return { title: null, employer: null };
+    }
+
+    const titleIndex = Math.max(0, pieces.findIndex(piece => TITLE.test(piece)));
+    const employer = pieces.find((piece, index) => index !== titleIndex);
+    return {
+      title: pieces[titleIndex].trim(),
+      employer: employer ? this.stripLocation(employer) : null
+    };
+  },
+
+  /**
+   * "Acme Corp, Nairobi" -> "Acme Corp"
+   */
+  stripLocation(employer) {
+    const [name, ...rest] = employer.split(/\s*[,|]\s*/);
+    return (rest.length && (rest.join(' ').match(/\S+/g) || []).length <= 3 ? name : employer).trim();
+  },
+
+  /**
+   * Months covered by [startIndex, endIndex] spans, overlaps counted once
+   */
+  mergedMonths(spans) {
+    const sorted = spans.slice().sort((a, b) => a[0] - b[0]);
+    let months = 0;
+    let current = null;
+    for (const [start, end] of sorted) {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end);
+      } else {
+        if (current) months += current[1] - current[0];
+        current = [start, end];
+      }
+    }
+    return months + (current ? current[1] - current[0] : 0);
+  }
+};
+
+module.exports = {
+  workHistory
+};
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCareerStageRegistry } = require('../src/careerStages');
+
+const definitions = require('../src/careerStages.json');
+
+function countingSource(results) {
+  const source = {
+    name: 'test',
+    loads: 0,
+    async load() {
+      return results[Math.min(source.loads++, results.length - 1)];
+    }
+  };
+  return source;
+}
+
+test('definitions are loaded once and shared by later executions', async () => {
+  const source = countingSource([definitions]);
+  const registry = createCareerStageRegistry(source, { log: () => {} });
+
+  await Promise.all([registry.load(), registry.load()]);
+  await registry.load();
+
+  assert.equal(source.loads, 1);
+  assert.equal(registry.get(definitions[0].name.toUpperCase()).known, true);
+});
+
+test('an invalid load fails and is retried on the next call', async () => {
+  const source = countingSource([[], definitions]);
+  const registry = createCareerStageRegistry(source, { log: () => {} });
+
+  await assert.rejects(registry.load(), error => error.code === 'INVALID_CAREER_STAGES');
+  await registry.load();
+
+  assert.equal(source.loads, 2);
+  assert.deepEqual(registry.names(), definitions.map(definition => definition.name));
+});
+
+test('unknown stages get neutral guidance and are logged once', async () => {
+  const logged = [];
+  const registry = createCareerStageRegistry(countingSource([definitions]), { log: message => logged.push(message) });
+  await registry.load();
+
+  assert.equal(registry.get('Astronaut').known, false);
+  assert.equal(registry.get('Astronaut').name, 'Astronaut');
+  assert.equal(logged.length, 1);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { consistencyChecker } = require('../src/consistencyChecker');
+
+const cvText = [
+  'Jane Doe',
+  'EXPERIENCE',
+  'Software Engineer, Example Corp (2019 - 2023)',
+  '- Built React and JavaScript services used by 10,000 customers'
+].join('\n');
+
+const now = new Date('2024-06-01');
+const job = { name: 'Frontend Developer', skills: ['JavaScript', 'React', 'Docker'] };
+const employer = { name: 'Acme' };
+
+test('an employer name stops at the end of its sentence', () => {
+  const names = consistencyChecker.extractEmployers('I enjoyed my role at Acme. During my time at Globex Corp. I led a team.');
+
+  assert.deepEqual(names, ['Acme', 'Globex Corp']);
+});
+
+test('skills with a name after "with" are not employers', () => {
+  assert.deepEqual(consistencyChecker.extractEmployers('I have years of experience with React and work with Initech'), ['Initech']);
+});
+
+test('a cover letter backed by the CV scores full consistency', () => {
+  const coverLetter = 'As a Software Engineer at Example Corp I built React and JavaScript services used by 10,000 customers.';
+  const result = consistencyChecker.check(cvText, coverLetter, { job, employer, now });
+
+  assert.equal(result.score, 100);
+  assert.deepEqual(result.findings.sharedSkills.sort(), ['JavaScript', 'React']);
+});
+
+test('claims the CV does not support are found and deducted', () => {
+  const coverLetter = 'During my time at Globex I used Docker and Kubernetes to cut costs by 40%. I have 9 years of experience.';
+  const { findings, score } = consistencyChecker.check(cvText, coverLetter, { job, employer, now });
+
+  assert.deepEqual(findings.employerMismatches, ['Globex']);
+  assert.deepEqual(findings.skillsOnlyInCoverLetter.sort(), ['Docker', 'Kubernetes']);
+  assert.equal(findings.unsupportedAchievements.length, 1);
+  assert.deepEqual(findings.experienceClaimMismatch, { claimedYears: 9, cvYears: 4 });
+  assert.ok(score < 60);
+});
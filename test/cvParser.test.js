@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { cvParser } = require('../src/cvParser');
+
+const now = new Date('2024-06-01');
+const cv = [
+  'Jane Doe',
+  'jane.doe@example.com | +1 555 010 0000',
+  'EXPERIENCE',
+  'Senior Software Engineer, Example Corp (Jan 2021 - Present)',
+  '- Led a team of 5 building React and Docker services',
+  'Software Engineer at Initech, Berlin (2018 - 2021)',
+  '- Built JavaScript tooling',
+  'EDUCATION',
+  'BSc Computer Science, University of Leeds (2014 - 2018)',
+  'SKILLS',
+  'JavaScript, React, Docker'
+].join('\n');
+
+test('parses contact details, work history, education and skills', () => {
+  const profile = cvParser.parse(cv, { now });
+
+  assert.equal(profile.contact.name, 'Jane Doe');
+  assert.deepEqual(profile.contact.emails, ['jane.doe@example.com']);
+  assert.deepEqual(profile.experience.map(entry => [entry.title, entry.employer, entry.startDate, entry.endDate, entry.current]), [
+    ['Senior Software Engineer', 'Example Corp', '2021-01', null, true],
+    ['Software Engineer', 'Initech', '2018', '2021', false]
+  ]);
+  assert.deepEqual(profile.education, [{ degree: 'BSc Computer Science', institution: 'University of Leeds', startDate: '2014', endDate: '2018' }]);
+  assert.deepEqual(profile.skills, ['JavaScript', 'React', 'Docker']);
+});
+
+test('counts overlapping periods once and credits skills to the roles using them', () => {
+  const { experienceYears } = cvParser.parse(cv, { now });
+
+  assert.equal(experienceYears.total, 6.4);
+  assert.equal(experienceYears.bySkill.React, 3.4);
+  assert.equal(experienceYears.bySkill.JavaScript, 3);
+});
+
+test('checks total years against the job seniority level', () => {
+  assert.equal(cvParser.seniorityCheck(6.4, 'Senior').fit, 'within');
+  assert.equal(cvParser.seniorityCheck(1, 'Senior').fit, 'below');
+  assert.equal(cvParser.seniorityCheck(6.4, 'Unusual level').fit, 'unknown');
+});
+
+test('reports parsed skills and degrees missing from the talent profile', () => {
+  const gaps = cvParser.profileGaps(cvParser.parse(cv, { now }), { skills: ['javascript'], degrees: [] });
+
+  assert.deepEqual(gaps, { missingSkills: ['React', 'Docker'], missingDegrees: ['BSc Computer Science'] });
+});
@@ -0,0 +1,32 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { call, seed, cvText, prompts } = require('./support/appwrite');
+
+before(seed);
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name)).toString('base64');
+
+// suggestCVRewrites returns the extracted text and the extraction path
+const extract = (cvData, cvFileName) => call({ action: 'suggestCVRewrites', talentId: 'u1', jobId: 'j1', cvData, cvFileName });
+
+for (const [fileName, source] of [['cv.pdf', 'local-pdf'], ['cv.docx', 'local-docx']]) {
+  test(`extracts ${fileName} locally`, async () => {
+    const before = prompts().length;
+    const response = await extract(fixture(fileName), fileName);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.extractionSource, source);
+    assert.equal(response.body.cvText, cvText);
+    assert.ok(!prompts().slice(before).some(prompt => /Extract all text content/.test(prompt)));
+  });
+}
+
+test('falls back to the model for a PDF without a text layer', async () => {
+  const response = await extract(fixture('scanned.pdf'), 'scan.pdf');
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.extractionSource, 'mock-vision');
+  assert.match(response.body.cvText, /^Jane Doe/);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { fileInspector } = require('../src/fileInspector');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const rejects = (fn, code) => assert.throws(fn, error => error.statusCode === 400 && error.code === code);
+
+test('detects the real type from the content', () => {
+  assert.equal(fileInspector.detectType(fixture('cv.pdf')), 'pdf');
+  assert.equal(fileInspector.detectType(fixture('cv.docx')), 'docx');
+  assert.equal(fileInspector.detectType(Buffer.from('Jane Doe\nSKILLS')), 'text');
+  assert.equal(fileInspector.detectType(Buffer.from('MZ\x90\x00\x03\x00\x00\x00', 'latin1')), 'executable');
+});
+
+test('treats a DOCX saved with a .doc name as DOCX', () => {
+  assert.deepEqual(fileInspector.inspect(fixture('cv.docx'), '.doc'), { type: 'docx', extension: '.docx' });
+});
+
+test('rejects content that does not match the extension', () => {
+  rejects(() => fileInspector.inspect(fixture('cv.pdf'), '.docx'), 'FILE_TYPE_MISMATCH');
+  rejects(() => fileInspector.inspect(Buffer.from('MZ\x90\x00\x03\x00\x00\x00', 'latin1'), '.pdf'), 'FILE_TYPE_MISMATCH');
+});
+
+test('rejects empty, encrypted and legacy documents', () => {
+  rejects(() => fileInspector.inspect(Buffer.alloc(0), '.pdf'), 'EMPTY_FILE');
+  const encrypted = Buffer.from(fixture('cv.pdf').toString('latin1').replace('/Root 1 0 R', '/Root 1 0 R /Encrypt 6 0 R'), 'latin1');
+  rejects(() => fileInspector.inspect(encrypted, '.pdf'), 'ENCRYPTED_PDF');
+  rejects(() => fileInspector.inspect(Buffer.from('{\\rtf1 Jane Doe}'), '.doc'), 'LEGACY_DOC_UNSUPPORTED');
+});
+
+test('accepts only plain base64 and sizes it without decoding', () => {
+  const data = fixture('cv.pdf').toString('base64');
+
+  assert.equal(fileInspector.decodedSize(data), fixture('cv.pdf').length);
+  assert.deepEqual(fileInspector.decodeBase64(data.replace(/(.{60})/g, '$1\n')), fixture('cv.pdf'));
+  rejects(() => fileInspector.decodeBase64(`data:application/pdf;base64,${data}`), 'INVALID_BASE64');
+  rejects(() => fileInspector.decodeBase64('not base64!'), 'INVALID_BASE64');
+});
@@ -0,0 +1,38 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { call, asUser, collection, seed, cvText } = require('./support/appwrite');
+
+before(seed);
+
+test('analyzes a CV through the mock provider and stores the result', async () => {
+  const response = await call({
+    talentId: 'u1',
+    jobId: 'j1',
+    cvData: Buffer.from(cvText).toString('base64'),
+    cvFileName: 'cv.txt'
+  });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.success, true);
+  assert.equal(typeof response.body.analysis.cv.overallMatchScore, 'number');
+  assert.deepEqual(response.body.analysis.cv.skillMatch.engine.missing, ['Docker']);
+  assert.ok(collection('analyses')[response.body.analysisId]);
+
+  const history = await call({ action: 'listAnalyses', talentId: 'u1' }, asUser('u1'));
+  assert.equal(history.statusCode, 200);
+  assert.equal(history.body.total, 1);
+});
+
+test('only the talent can list their analyses', async () => {
+  const response = await call({ action: 'listAnalyses', talentId: 'u1' }, asUser('u2'));
+
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'FORBIDDEN');
+});
+
+test('rejects unknown actions', async () => {
+  const response = await call({ action: 'nope' });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.body.code, 'UNKNOWN_ACTION');
+});
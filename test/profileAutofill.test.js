@@ -0,0 +1,23 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { call, asUser, seed } = require('./support/appwrite');
+
+before(seed);
+
+test('proposes profile updates from the talent\'s stored CV', async () => {
+  const response = await call({ action: 'suggestProfileUpdate', talentId: 'u1' }, asUser('u1'));
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.cvProfile.contact.name, 'Jane Doe');
+  assert.deepEqual(response.body.proposal.fields.skills.added, ['React']);
+});
+
+test('does not parse a talent\'s CV for anyone else', async () => {
+  for (const headers of [{}, asUser('u2')]) {
+    const response = await call({ action: 'suggestProfileUpdate', talentId: 'u1' }, headers);
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.body.code, 'FORBIDDEN');
+    assert.equal(response.body.cvProfile, undefined);
+  }
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../src/providers');
+
+test('reports an unknown LLM_PROVIDER through configError', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'nope' }, {});
+
+  assert.match(provider.configError(), /Unknown LLM_PROVIDER "nope"/);
+  await assert.rejects(provider.generateText('prompt'), /Unknown LLM_PROVIDER/);
+});
+
+test('reports unreadable mock fixtures through configError', () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_FIXTURES: '/does/not/exist.json' }, {});
+
+  assert.match(provider.configError(), /LLM_MOCK_FIXTURES \(\/does\/not\/exist\.json\) could not be loaded/);
+});
+
+test('creates the mock provider with default fixtures', () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' }, {});
+
+  assert.equal(provider.name, 'mock');
+  assert.equal(provider.configError(), null);
+});
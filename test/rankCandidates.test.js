@@ -0,0 +1,43 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { call, asUser, seed } = require('./support/appwrite');
+
+before(seed);
+
+const rank = (applicants, headers) => call({ action: 'rankCandidates', jobId: 'j1', applicants }, headers);
+
+test('ranks applicants from their stored CVs for the job\'s employer', async () => {
+  const response = await rank([{ talentId: 'u1' }, { talentId: 'u2' }], asUser('employer1'));
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.body.shortlist.map(entry => entry.talentId).sort(), ['u1', 'u2']);
+  assert.deepEqual(response.body.failed, []);
+});
+
+test('only the employer that posted the job can rank its candidates', async () => {
+  for (const headers of [{}, asUser('u1'), asUser('employer2')]) {
+    const response = await rank([{ talentId: 'u1' }], headers);
+
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.body.code, 'FORBIDDEN');
+  }
+});
+
+test('refuses to analyze a file that is not the applicant\'s stored CV', async () => {
+  const response = await rank([{ talentId: 'u1', cvFileId: 'otherCv' }], asUser('employer1'));
+
+  assert.equal(response.statusCode, 500);
+  assert.deepEqual(response.body.shortlist, []);
+  assert.equal(response.body.failed[0].code, 'CV_NOT_OWNED');
+});
+
+test('the counterfactual audit compares locally scored name variants', async () => {
+  const response = await call({ action: 'rankCandidates', jobId: 'j1', applicants: [{ talentId: 'u1' }], fairnessAudit: true }, asUser('employer1'));
+  const [entry] = response.body.shortlist;
+
+  assert.equal(entry.fairnessAudit.baselineScore, entry.overallMatchScore);
+  assert.equal(entry.fairnessAudit.complete, true);
+  for (const counterfactual of entry.fairnessAudit.counterfactuals) {
+    assert.equal(counterfactual.score, entry.overallMatchScore);
+  }
+});
@@ -0,0 +1,53 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { call, seed, cvText, prompts } = require('./support/appwrite');
+
+before(seed);
+
+// A fresh CV per test so no analysis comes from the cache; the bullet names the candidate
+const upload = (note) => ({
+  talentId: 'u1',
+  cvData: Buffer.from(`${cvText}\n- ${note}: references from Jane Doe's manager at jane.doe@example.com`).toString('base64'),
+  cvFileName: 'cv.txt',
+  redactPII: true
+});
+
+async function sentPrompts(body) {
+  const before = prompts().length;
+  const response = await call(body);
+  return { response, sent: prompts().slice(before) };
+}
+
+const assertRedacted = (sent) => {
+  assert.ok(sent.length > 0);
+  for (const prompt of sent) {
+    assert.doesNotMatch(prompt, /Jane Doe|jane\.doe@example\.com/);
+  }
+};
+
+for (const action of ['generateCoverLetter', 'suggestCVRewrites']) {
+  test(`${action} sends only redacted CV text to the model`, async () => {
+    const { response, sent } = await sentPrompts({ action, jobId: 'j1', ...upload(action) });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.redaction.enabled, true);
+    assertRedacted(sent);
+  });
+}
+
+test('rankJobs and compareCVs honor redactPII', async () => {
+  const ranked = await sentPrompts({ action: 'rankJobs', jobIds: ['j1'], ...upload('rankJobs') });
+  assert.equal(ranked.response.statusCode, 200);
+  assertRedacted(ranked.sent);
+
+  const compared = await sentPrompts({
+    action: 'compareCVs',
+    talentId: 'u1',
+    jobId: 'j1',
+    baseline: upload('baseline'),
+    revision: upload('revision'),
+    redactPII: true
+  });
+  assert.equal(compared.response.statusCode, 200);
+  assertRedacted(compared.sent);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResiliencePolicy } = require('../src/resilience');
+
+const appwriteError = (message, code) => Object.assign(new Error(message), { code });
+
+function createPolicy() {
+  const policy = createResiliencePolicy({ baseDelayMs: 1, maxAttempts: 2, timeouts: { default: 20, appwrite: 20 } });
+  policy.begin();
+  return policy;
+}
+
+test('aborts the attempt when its timeout fires', async () => {
+  const signals = [];
+  const slow = ({ signal }) => {
+    signals.push(signal);
+    return new Promise(resolve => setTimeout(resolve, 100));
+  };
+
+  await assert.rejects(createPolicy().call('slow call', slow), /timed out/);
+  assert.equal(signals.length, 2);
+  assert.ok(signals.every(signal => signal.aborted));
+});
+
+test('returns the created document when a retried create hits 409', async () => {
+  const documents = {};
+  let attempts = 0;
+  const databases = createPolicy().wrapService({
+    async createDocument(databaseId, collectionId, documentId, data) {
+      attempts++;
+      if (documents[documentId]) throw appwriteError('Document already exists', 409);
+      documents[documentId] = { $id: documentId, ...data };
+      // The write went through but the response was lost
+      throw appwriteError('Bad gateway', 502);
+    },
+    async getDocument(databaseId, collectionId, documentId) {
+      return documents[documentId];
+    }
+  }, 'databases');
+
+  const document = await databases.createDocument('db', 'analyses', 'run1', { status: 'queued' });
+  assert.equal(attempts, 2);
+  assert.deepEqual(document, { $id: 'run1', status: 'queued' });
+});
+
+test('still fails a create that conflicts on its first attempt', async () => {
+  const databases = createPolicy().wrapService({
+    async createDocument() {
+      throw appwriteError('Document already exists', 409);
+    }
+  }, 'databases');
+
+  await assert.rejects(databases.createDocument('db', 'analyses', 'run1', {}), error => error.code === 409);
+});
+
+test('caps an attempt at the time left before the execution deadline', async () => {
+  const policy = createResiliencePolicy({ functionTimeoutSeconds: 1, reserveSeconds: 0.95, minAttemptMs: 10, maxAttempts: 1, timeouts: { default: 5000 } });
+  policy.begin();
+
+  const startedAt = Date.now();
+  await assert.rejects(policy.call('slow call', () => new Promise(resolve => setTimeout(resolve, 1000))), /timed out/);
+  assert.ok(Date.now() - startedAt < 500);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoring } = require('../src/scoring');
+
+const weights = { skills: 0.4, degrees: 0.2, seniority: 0.2, careerStage: 0.2, coverLetter: 0 };
+const rules = [{ name: 'senior', levels: /\bsenior\b/i, multipliers: { seniority: 2 } }];
+
+test('weights are the stage weights times the first matching seniority rule', () => {
+  assert.deepEqual(scoring.weightsFor(weights, 'Senior Engineer', rules), {
+    weights: { ...weights, seniority: 0.4 },
+    seniorityRule: 'senior'
+  });
+  assert.deepEqual(scoring.weightsFor(weights, 'Junior', rules), { weights, seniorityRule: null });
+});
+
+test('components without a sub-score are excluded and the rest renormalized', () => {
+  const subScores = {
+    skills: { score: 80, source: 'skillMatcher', detail: null },
+    degrees: { score: null, reason: 'The job lists no required degrees' },
+    seniority: { score: 40, source: 'cvParser', detail: null },
+    careerStage: { score: 100, source: 'model', detail: null },
+    coverLetter: { score: 90, source: 'model', detail: null }
+  };
+  const result = scoring.score(subScores, weights);
+
+  assert.equal(result.score, 75);
+  assert.deepEqual(result.components.map(component => [component.id, component.weight]), [['skills', 0.5], ['seniority', 0.25], ['careerStage', 0.25]]);
+  assert.deepEqual(result.excluded.map(component => component.id), ['degrees', 'coverLetter']);
+});
+
+test('seniority fit comes from computed years before the model\'s level match', () => {
+  const check = { fit: 'below', candidateYears: 1, expectedYears: { min: 4, max: null }, jobLevel: 'Senior' };
+
+  assert.equal(scoring.senioritySubScore(check, true).score, 25);
+  assert.equal(scoring.senioritySubScore({ fit: 'unknown' }, false).score, 40);
+  assert.equal(scoring.senioritySubScore(null, undefined).score, null);
+});
+
+test('the local score replaces the model\'s, which is kept under llm', () => {
+  const analysis = {
+    overallMatchScore: 72,
+    applicationReadiness: 60,
+    skillMatch: { engine: { coverage: 50, matched: ['React'], missing: ['Docker'] } },
+    careerStageAlignment: { score: 80 }
+  };
+  const scored = scoring.applyToAnalysis(analysis, { job: { Degrees: [] }, weighting: { weights } });
+
+  assert.equal(scored.overallMatchScore, 60);
+  assert.equal(scored.scoreBreakdown.llm.overallMatchScore, 72);
+  assert.equal(scored.applicationReadiness, 60);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { skillMatcher } = require('../src/skillMatcher');
+
+const mentioned = (text, jobSkills = []) => [...skillMatcher.scanText(text, jobSkills).keys()].sort();
+
+test('short job terms are not read out of hyphenated words or labelled values', () => {
+  assert.deepEqual(mentioned('Led the Go-live of a CRM. Grade: C', ['Go', 'C']), []);
+  assert.deepEqual(mentioned('Wrote services in Go and tools in C.', ['Go', 'C']), ['C', 'Go']);
+  assert.deepEqual(mentioned('Languages: Go', ['Go']), ['Go']);
+});
+
+test('aliases of ambiguous names still match', () => {
+  assert.deepEqual(mentioned('Built Golang microservices'), ['Go']);
+});
+
+test('a multi-word skill does not also count as its first word', () => {
+  assert.deepEqual(mentioned('Shipped two React Native apps'), ['React Native']);
+  assert.deepEqual(mentioned('React Native apps and a React dashboard'), ['React', 'React Native']);
+});
+
+test('common-word skills need the capitalized name and no verb use', () => {
+  assert.deepEqual(mentioned('I excel at customer work'), []);
+  assert.deepEqual(mentioned('Teams Excel at shipping'), []);
+  assert.deepEqual(mentioned('Reporting in Excel and MS Excel macros'), ['Excel']);
+});
+
+test('Node.js does not mention JS', () => {
+  assert.deepEqual(mentioned('APIs on Node.js'), ['Node.js']);
+});
@@ -0,0 +1,141 @@
+/**
+ * In-memory stand-ins for the Appwrite services the handler uses, and a helper
+ * calling the handler the way the Appwrite runtime does. Require this before
+ * src/main.js so the patched SDK prototypes are in place.
+ */
+
+const { Databases, Storage } = require('node-appwrite');
+const providers = require('../../src/providers');
+
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.ANALYSIS_CACHE = process.env.ANALYSIS_CACHE || 'memory';
+
+const EMPLOYERS_COLLECTION = '67d870d800046e4c2a61';
+
+const collections = {};
+const files = {};
+let nextId = 0;
+
+const collection = (collectionId) => (collections[collectionId] = collections[collectionId] || {});
+const appwriteError = (message, code) => Object.assign(new Error(message), { code });
+const uniqueId = (id) => (id === 'unique()' ? `id${++nextId}` : id);
+
+function matches(document, query) {
+  const { method, attribute, values } = JSON.parse(query);
+  return method !== 'equal' || values.includes(document[attribute]);
+}
+
+Databases.prototype.listDocuments = async (databaseId, collectionId, queries = []) => {
+  const documents = Object.values(collection(collectionId)).filter(document => queries.every(query => matches(document, query)));
+  return { total: documents.length, documents: documents.map(document => ({ ...document })) };
+};
+Databases.prototype.getDocument = async (databaseId, collectionId, documentId) => {
+  const document = collection(collectionId)[documentId];
+  if (!document) throw appwriteError('Document not found', 404);
+  return { ...document };
+};
+Databases.prototype.createDocument = async (databaseId, collectionId, documentId, data, permissions = []) => {
+  const id = uniqueId(documentId);
+  if (collection(collectionId)[id]) throw appwriteError('Document already exists', 409);
+  const now = new Date().toISOString();
+  collection(collectionId)[id] = { $id: id, $createdAt: now, $updatedAt: now, $permissions: permissions, ...data };
+  return { ...collection(collectionId)[id] };
+};
+Databases.prototype.updateDocument = async (databaseId, collectionId, documentId, data) => {
+  const document = collection(collectionId)[documentId];
+  if (!document) throw appwriteError('Document not found', 404);
+  return { ...Object.assign(document, data) };
+};
+Storage.prototype.createFile = async (bucketId, fileId, file) => {
+  const id = uniqueId(fileId);
+  files[id] = { name: file.name, contents: Buffer.from(await file.arrayBuffer()) };
+  return { $id: id };
+};
+Storage.prototype.getFile = async (bucketId, fileId) => {
+  if (!files[fileId]) throw appwriteError('File not found', 404);
+  return { $id: fileId, name: files[fileId].name };
+};
+Storage.prototype.getFileDownload = async (bucketId, fileId) => {
+  if (!files[fileId]) throw appwriteError('File not found', 404);
+  return files[fileId].contents;
+};
+Storage.prototype.deleteFile = async (bucketId, fileId) => {
+  delete files[fileId];
+  return {};
+};
+
+// Keep the provider the handler creates so tests can read the prompts it was sent
+let provider = null;
+const { createProvider } = providers;
+providers.createProvider = (...args) => (provider = createProvider(...args));
+
+const handler = require('../../src/main');
+
+/**
+ * Prompts sent to the mock provider so far
+ */
+const prompts = () => provider.calls.map(call => call.prompt);
+
+/**
+ * Run the handler on a JSON body; resolves to { statusCode, body }
+ */
+async function call(body, headers = {}) {
+  let response;
+  const res = {
+    json: (payload, statusCode = 200) => (response = { statusCode, body: payload }),
+    send: (payload, statusCode = 200) => (response = { statusCode, body: payload })
+  };
+  await handler({
+    req: { body: JSON.stringify(body), headers, method: 'POST', path: '/' },
+    res,
+    log: () => {},
+    error: () => {}
+  });
+  return response;
+}
+
+const asUser = (userId) => ({ 'x-appwrite-user-id': userId });
+
+const cvText = [
+  'Jane Doe',
+  'jane.doe@example.com',
+  'EXPERIENCE',
+  'Software Engineer, Example Corp (2019 - 2023)',
+  '- Built React and JavaScript services used by 10,000 customers',
+  'SKILLS',
+  'JavaScript, React'
+].join('\n');
+
+/**
+ * Two talents (u1 with a stored CV), an employer owned by employer1 and its job
+ */
+function seed() {
+  files.cv1 = { name: 'cv.txt', contents: Buffer.from(cvText) };
+  files.otherCv = { name: 'other.txt', contents: Buffer.from('John Roe\njohn.roe@example.com\nSKILLS\nPython') };
+  collection('talents').t1 = {
+    $id: 't1', talentId: 'u1', fullname: 'Jane Doe', careerStage: 'Pathfinder', skills: ['JavaScript'], degrees: [], cvFileId: 'cv1'
+  };
+  collection('talents').t2 = {
+    $id: 't2', talentId: 'u2', fullname: 'John Roe', careerStage: 'Trailblazer', skills: ['Python'], degrees: [], cvFileId: 'otherCv'
+  };
+  collection('jobs').j1 = {
+    $id: 'j1',
+    name: 'Frontend Developer',
+    seniorityLevel: 'Junior',
+    skills: ['JavaScript', 'React', 'Docker'],
+    Degrees: [],
+    responsibilities: 'Build React interfaces',
+    employer: 'e1'
+  };
+  collection(EMPLOYERS_COLLECTION).e1 = { $id: 'e1', name: 'Acme', userId: 'employer1' };
+}
+
+module.exports = {
+  call,
+  asUser,
+  collection,
+  files,
+  seed,
+  cvText,
+  prompts
+};
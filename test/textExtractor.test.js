@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { textExtractor } = require('../src/textExtractor');
+
+const utf16be = (text) => Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(text, 'utf16le').swap16()]);
+
+test('decodes UTF-16BE text with a byte order mark', () => {
+  assert.equal(textExtractor.decodePlainText(utf16be('Jane Doe')), 'Jane Doe');
+});
+
+test('drops a trailing odd byte from UTF-16BE text', () => {
+  const truncated = Buffer.concat([utf16be('Jane Doe'), Buffer.from([0x41])]);
+
+  assert.equal(textExtractor.decodePlainText(truncated), 'Jane Doe');
+});
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const fixtureText = [
+  'Jane Doe',
+  'jane.doe@example.com',
+  'EXPERIENCE',
+  'Software Engineer, Example Corp (2019 - 2023)',
+  '- Built React and JavaScript services used by 10,000 customers',
+  'SKILLS',
+  'JavaScript, React'
+].join('\n');
+
+test('extracts the text layer of a PDF with compressed content', () => {
+  assert.deepEqual(textExtractor.extract(fixture('cv.pdf'), '.pdf'), { text: fixtureText, source: 'local-pdf' });
+});
+
+test('extracts DOCX paragraphs one per line', () => {
+  assert.deepEqual(textExtractor.extract(fixture('cv.docx'), '.docx'), { text: fixtureText, source: 'local-docx' });
+});
+
+test('leaves a PDF without a text layer to the model', () => {
+  assert.equal(textExtractor.extract(fixture('scanned.pdf'), '.pdf'), null);
+});